@@ -0,0 +1,187 @@
+/**
+ * Bibliography Export - Publications as BibTeX, RIS and CSL-JSON
+ * Used by generate_portfolio.js (docs/publications/publications.{bib,ris,json} and Cite links)
+ *
+ * Works on localized data (plain strings). Only visible entries are exported,
+ * in the order of the publications page. CSL-JSON items use the entry id;
+ * BibTeX keys are "<family><year><first title word>", with a/b/... on clashes.
+ */
+
+const { parseName, isEtAl, splitIssue } = require('./citation_styles');
+const { getPublicationCategories } = require('./publication_categories');
+
+// Entry type per category kind in each format
+const EXPORT_TYPES = {
+    book: { bibtex: 'book', ris: 'BOOK', csl: 'book' },
+    chapter: { bibtex: 'incollection', ris: 'CHAP', csl: 'chapter' },
+    article: { bibtex: 'article', ris: 'JOUR', csl: 'article-journal' },
+    report: { bibtex: 'techreport', ris: 'RPRT', csl: 'report' }
+};
+
+/**
+ * Visible publications of every category: [{ category, pub }], newest first per category
+ * `category` is the category definition (see publication_categories.js)
+ */
+function listExportEntries(data) {
+    const entries = [];
+    for (const category of getPublicationCategories(data)) {
+        const items = (data.publications || {})[category.id];
+        if (!Array.isArray(items)) continue;
+        items
+            .filter(pub => pub.visible !== false)
+            .sort((a, b) => parseInt(b.year || 0) - parseInt(a.year || 0))
+            .forEach(pub => entries.push({ category, pub }));
+    }
+    return entries;
+}
+
+function splitPages(pages) {
+    const [first, last] = String(pages || '').split(/\s*[-–—]+\s*/);
+    return { first: first || '', last: last || '' };
+}
+
+/**
+ * BibTeX citation keys for the entries, by entry id
+ */
+function citationKeys(entries) {
+    const keys = new Map();
+    const used = new Map();
+    for (const { pub } of entries) {
+        const first = parseName((pub.authors || [])[0] || '');
+        const name = (first.family || first.literal || 'anon').split(/\s+/).pop();
+        const word = (String(pub.title).match(/[\p{L}\d]{4,}/u) || [''])[0];
+        const base = `${name}${pub.year || ''}${word}`.normalize('NFD').replace(/[^A-Za-z0-9]/g, '').toLowerCase();
+
+        const count = used.get(base) || 0;
+        used.set(base, count + 1);
+        keys.set(pub.id, count === 0 ? base : `${base}${String.fromCharCode(96 + count)}`);
+    }
+    return keys;
+}
+
+// ---------------------------------------------------------------- BibTeX
+
+function bibtexEscape(text) {
+    return String(text).replace(/([&%$#_])/g, '\\$1');
+}
+
+function bibtexNames(names) {
+    const list = names.filter(name => !isEtAl(name)).map(name => {
+        const parts = parseName(name);
+        return parts.literal ? `{${parts.literal}}` : `${parts.family}, ${parts.given}`;
+    });
+    if (names.some(isEtAl)) list.push('others');
+    return list.join(' and ');
+}
+
+/**
+ * One BibTeX entry
+ */
+function bibtexEntry({ category, pub }, key) {
+    const { volume, number } = splitIssue(pub.issue);
+    const fields = [
+        ['author', bibtexNames(pub.authors || [])],
+        ['editor', bibtexNames(pub.editors || [])],
+        // Double braces keep the capitalisation of titles
+        ['title', pub.title ? `{${bibtexEscape(pub.title)}}` : ''],
+        [category.kind === 'article' ? 'journal' : 'booktitle', bibtexEscape(pub.publication || '')],
+        ['year', pub.year],
+        ['volume', volume],
+        ['number', number],
+        ['pages', pub.pages ? pub.pages.replace(/\s*[-–—]+\s*/, '--') : ''],
+        [category.kind === 'report' ? 'institution' : 'publisher', bibtexEscape(pub.publisher || '')],
+        ['address', bibtexEscape(pub.place || '')],
+        ['doi', pub.doi],
+        ['url', pub.url]
+    ].filter(([, value]) => value);
+
+    const body = fields.map(([name, value]) => `  ${name} = {${value}}`).join(',\n');
+    return `@${EXPORT_TYPES[category.kind].bibtex}{${key},\n${body}\n}`;
+}
+
+function toBibTeX(entries) {
+    const keys = citationKeys(entries);
+    return entries.map(entry => bibtexEntry(entry, keys.get(entry.pub.id))).join('\n\n') + '\n';
+}
+
+// ---------------------------------------------------------------- RIS
+
+function risNames(tag, names) {
+    return names.filter(name => !isEtAl(name)).map(name => {
+        const parts = parseName(name);
+        return [tag, parts.literal || `${parts.family}, ${parts.given}`];
+    });
+}
+
+function risEntry({ category, pub }) {
+    const { volume, number } = splitIssue(pub.issue);
+    const pages = splitPages(pub.pages);
+    const tags = [
+        ['TY', EXPORT_TYPES[category.kind].ris],
+        ['ID', pub.id],
+        ...risNames('AU', pub.authors || []),
+        ...risNames(category.kind === 'chapter' ? 'A2' : 'ED', pub.editors || []),
+        ['TI', pub.title],
+        ['T2', pub.publication],
+        ['PY', pub.year],
+        ['VL', volume],
+        ['IS', number],
+        ['SP', pages.first],
+        ['EP', pages.last],
+        ['PB', pub.publisher],
+        ['CY', pub.place],
+        ['DO', pub.doi],
+        ['UR', pub.url]
+    ].filter(([, value]) => value);
+    return [...tags, ['ER', '']].map(([tag, value]) => `${tag}  - ${value}`.trimEnd()).join('\n');
+}
+
+function toRIS(entries) {
+    return entries.map(risEntry).join('\n\n') + '\n';
+}
+
+// ---------------------------------------------------------------- CSL-JSON
+
+function cslNames(names) {
+    return names.filter(name => !isEtAl(name)).map(name => {
+        const parts = parseName(name);
+        return parts.literal ? { literal: parts.literal } : { family: parts.family, given: parts.given };
+    });
+}
+
+function cslItem({ category, pub }) {
+    const { volume, number } = splitIssue(pub.issue);
+    const item = {
+        id: pub.id,
+        type: EXPORT_TYPES[category.kind].csl,
+        title: pub.title,
+        author: cslNames(pub.authors || []),
+        editor: cslNames(pub.editors || []),
+        issued: pub.year ? { 'date-parts': [[parseInt(pub.year)]] } : undefined,
+        'container-title': pub.publication,
+        volume,
+        issue: number,
+        page: pub.pages,
+        publisher: pub.publisher,
+        'publisher-place': pub.place,
+        DOI: pub.doi,
+        URL: pub.url
+    };
+    // Leave out empty fields
+    return Object.fromEntries(Object.entries(item)
+        .filter(([, value]) => value !== undefined && value !== '' && !(Array.isArray(value) && value.length === 0)));
+}
+
+function toCSLJSON(entries) {
+    return JSON.stringify(entries.map(cslItem), null, 2) + '\n';
+}
+
+module.exports = {
+    EXPORT_TYPES,
+    listExportEntries,
+    citationKeys,
+    bibtexEntry,
+    toBibTeX,
+    toRIS,
+    toCSLJSON
+};
@@ -0,0 +1,471 @@
+/**
+ * Bibliography Import - Publications from BibTeX, RIS or CSL-JSON
+ * Used by server.js (POST /api/import/publications)
+ *
+ * Entries are mapped to the publication categories of cv_data.json and checked
+ * against the existing publications (by DOI, or by title and year), so the
+ * editor can show a preview before anything is added.
+ */
+
+const { generateItemId } = require('./item_ids');
+const { DEFAULT_PUBLICATION_CATEGORIES, getPublicationCategories } = require('./publication_categories');
+
+const IMPORT_FORMATS = ['bibtex', 'ris', 'csl-json'];
+
+// Source entry types per category; anything else is skipped
+const TYPE_MAP = {
+    bibtex: {
+        book: 'books', booklet: 'books', phdthesis: 'books', mastersthesis: 'books', thesis: 'books',
+        incollection: 'book_chapters', inbook: 'book_chapters', inproceedings: 'book_chapters', conference: 'book_chapters',
+        article: 'articles',
+        techreport: 'reports', report: 'reports', manual: 'reports', misc: 'reports', unpublished: 'reports'
+    },
+    ris: {
+        BOOK: 'books', EBOOK: 'books', EDBOOK: 'books', THES: 'books',
+        CHAP: 'book_chapters', ECHAP: 'book_chapters', CONF: 'book_chapters', CPAPER: 'book_chapters',
+        JOUR: 'articles', EJOUR: 'articles', MGZN: 'articles', NEWS: 'articles',
+        RPRT: 'reports', GOVDOC: 'reports', GEN: 'reports', UNPB: 'reports'
+    },
+    'csl-json': {
+        book: 'books', thesis: 'books',
+        chapter: 'book_chapters', 'paper-conference': 'book_chapters',
+        'article-journal': 'articles', 'article-magazine': 'articles', 'article-newspaper': 'articles', article: 'articles',
+        report: 'reports', 'post-weblog': 'reports', document: 'reports'
+    }
+};
+
+/**
+ * Guess the format of an import text
+ */
+function detectFormat(text) {
+    const trimmed = text.trim();
+    if (trimmed.startsWith('[') || trimmed.startsWith('{')) return 'csl-json';
+    if (/^TY {2}- /m.test(trimmed)) return 'ris';
+    if (/@\w+\s*[{(]/.test(trimmed)) return 'bibtex';
+    return null;
+}
+
+/**
+ * Format a name the way cv_data.json does: initials, then the family name ("F.J. Zuiderveen Borgesius")
+ */
+function formatName({ given = '', family = '', literal = '' }) {
+    if (literal || !family) {
+        return (literal || given).trim();
+    }
+    const initials = given.trim().split(/\s+/).filter(Boolean).map(part => {
+        // "Jean-Paul" -> "J.-P.", "F.J." stays "F.J."
+        if (/^([A-Z]\.)+$/i.test(part)) return part.toUpperCase();
+        return part.split('-').map(piece => `${piece.charAt(0).toUpperCase()}.`).join('-');
+    }).join('');
+    return initials ? `${initials} ${family.trim()}` : family.trim();
+}
+
+/**
+ * Split "Family, Given" (or "Given Family") into name parts
+ */
+function splitName(name) {
+    const parts = name.split(',').map(part => part.trim());
+    if (parts.length >= 2) {
+        // "von Last, Jr, First" keeps the suffix with the family name
+        const family = parts.length > 2 ? `${parts[0]} ${parts[1]}` : parts[0];
+        return { family, given: parts[parts.length - 1] };
+    }
+    const words = name.trim().split(/\s+/);
+    if (words.length === 1) {
+        return { literal: words[0] };
+    }
+    // The family name starts at the first lower-case particle ("van der Toorn") or is the last word
+    const particle = words.findIndex((word, i) => i > 0 && i < words.length - 1 && /^[a-z]/.test(word));
+    const split = particle > 0 ? particle : words.length - 1;
+    return { given: words.slice(0, split).join(' '), family: words.slice(split).join(' ') };
+}
+
+function firstYear(value) {
+    const match = String(value || '').match(/\d{4}/);
+    return match ? match[0] : '';
+}
+
+function normalizeDoi(doi) {
+    return String(doi || '').trim().toLowerCase().replace(/^(https?:\/\/(dx\.)?doi\.org\/|doi:\s*)/, '');
+}
+
+function normalizeTitle(title) {
+    return String(title || '').normalize('NFD').replace(/[̀-ͯ]/g, '')
+        .toLowerCase().replace(/[^a-z0-9]+/g, ' ').trim();
+}
+
+function joinPages(first, last) {
+    if (!first) return '';
+    return last ? `${first}-${last}` : String(first);
+}
+
+function joinIssue(volume, number) {
+    if (volume && number) return `${volume}(${number})`;
+    return String(volume || number || '');
+}
+
+// ---------------------------------------------------------------- BibTeX
+
+const LATEX_ACCENTS = {
+    '"': '̈', "'": '́', '`': '̀', '^': '̂', '~': '̃', '=': '̄', '.': '̇',
+    c: '̧', v: '̌', u: '̆', H: '̋', r: '̊', k: '̨'
+};
+const LATEX_SYMBOLS = { ss: 'ß', o: 'ø', O: 'Ø', ae: 'æ', AE: 'Æ', aa: 'å', AA: 'Å', oe: 'œ', OE: 'Œ', l: 'ł', L: 'Ł', i: 'ı' };
+
+/**
+ * Turn LaTeX markup in a BibTeX value into plain text
+ */
+function latexToText(value) {
+    return value
+        .replace(/\\([cvuHrk])\s*\{\s*\\?([A-Za-z])\s*\}/g, (m, cmd, ch) => ch + LATEX_ACCENTS[cmd])
+        .replace(/\\(["'`^~=.])\s*\{?\s*\\?([A-Za-z])\s*\}?/g, (m, cmd, ch) => ch + LATEX_ACCENTS[cmd])
+        .replace(/\{?\\(ss|ae|AE|aa|AA|oe|OE|o|O|l|L|i)\}?(?![A-Za-z])/g, (m, cmd) => LATEX_SYMBOLS[cmd])
+        .replace(/\\(textit|textbf|emph|textsc|url)\s*\{([^{}]*)\}/g, '$2')
+        .replace(/\\([&%$#_])/g, '$1')
+        .replace(/---/g, '—')
+        .replace(/--/g, '–')
+        .replace(/[{}]/g, '')
+        .replace(/~/g, ' ')
+        .replace(/\s+/g, ' ')
+        .normalize('NFC')
+        .trim();
+}
+
+/**
+ * Split a BibTeX value on a separator, ignoring separators inside braces
+ */
+function splitTopLevel(value, separator) {
+    const parts = [];
+    let depth = 0;
+    let current = '';
+    for (let i = 0; i < value.length; i++) {
+        const ch = value[i];
+        if (ch === '{') depth++;
+        if (ch === '}') depth--;
+        if (depth === 0 && separator.test(value.slice(i))) {
+            const match = value.slice(i).match(separator);
+            parts.push(current);
+            current = '';
+            i += match[0].length - 1;
+            continue;
+        }
+        current += ch;
+    }
+    parts.push(current);
+    return parts.map(part => part.trim()).filter(Boolean);
+}
+
+/**
+ * Names from a BibTeX author/editor field ("Kulk, Stefan and {World Health Organization}")
+ */
+function parseBibtexNames(value) {
+    if (!value) return [];
+    return splitTopLevel(value, /^\s+and\s+/i).map(name => {
+        if (/^\{.*\}$/.test(name)) {
+            return formatName({ literal: latexToText(name) });
+        }
+        return formatName(splitName(latexToText(name)));
+    });
+}
+
+/**
+ * Parse BibTeX into { type, fields } records (@string, @comment and @preamble are ignored)
+ */
+function parseBibtex(text) {
+    const records = [];
+    const strings = {};
+    let pos = 0;
+
+    while ((pos = text.indexOf('@', pos)) !== -1) {
+        const header = text.slice(pos).match(/^@(\w+)\s*([{(])/);
+        if (!header) {
+            pos++;
+            continue;
+        }
+        const type = header[1].toLowerCase();
+        const close = header[2] === '{' ? '}' : ')';
+        let i = pos + header[0].length;
+
+        // Find the end of the entry
+        let depth = 1;
+        let end = i;
+        while (end < text.length && depth > 0) {
+            if (text[end] === '{' || (close === ')' && text[end] === '(')) depth++;
+            else if (text[end] === '}' || (close === ')' && text[end] === ')')) depth--;
+            end++;
+        }
+        const body = text.slice(i, end - 1);
+        pos = end;
+
+        if (type === 'comment' || type === 'preamble') continue;
+
+        const fields = parseBibtexFields(type === 'string' ? body : body.slice(body.indexOf(',') + 1), strings);
+        if (type === 'string') {
+            Object.assign(strings, fields);
+            continue;
+        }
+        records.push({ type, key: body.slice(0, body.indexOf(',')).trim(), fields });
+    }
+    return records;
+}
+
+/**
+ * Parse "name = {value} # macro, ..." pairs of one BibTeX entry
+ */
+function parseBibtexFields(body, strings) {
+    const fields = {};
+    let i = 0;
+    while (i < body.length) {
+        const nameMatch = body.slice(i).match(/^[\s,]*([\w-]+)\s*=\s*/);
+        if (!nameMatch) break;
+        const name = nameMatch[1].toLowerCase();
+        i += nameMatch[0].length;
+
+        const pieces = [];
+        for (;;) {
+            const ch = body[i];
+            if (ch === '{' || ch === '"') {
+                const open = ch;
+                const closeChar = ch === '{' ? '}' : '"';
+                let depth = 0;
+                let j = i;
+                do {
+                    if (body[j] === '{') depth++;
+                    else if (body[j] === '}') depth--;
+                    j++;
+                } while (j < body.length && !(open === '{' ? depth === 0 : body[j] === closeChar && depth === 0));
+                if (open === '"') j++;
+                pieces.push(body.slice(i + 1, j - 1));
+                i = j;
+            } else {
+                const word = body.slice(i).match(/^[\w.:-]+/);
+                if (!word) break;
+                pieces.push(strings[word[0].toLowerCase()] ?? word[0]);
+                i += word[0].length;
+            }
+            const concat = body.slice(i).match(/^\s*#\s*/);
+            if (!concat) break;
+            i += concat[0].length;
+        }
+        fields[name] = pieces.join('');
+    }
+    return fields;
+}
+
+/**
+ * BibTeX records to the common entry shape
+ */
+function fromBibtex(text) {
+    return parseBibtex(text).map(({ type, key, fields }) => {
+        const plain = name => (fields[name] ? latexToText(fields[name]) : '');
+        return {
+            sourceType: type,
+            category: TYPE_MAP.bibtex[type] || null,
+            key,
+            authors: parseBibtexNames(fields.author),
+            editors: parseBibtexNames(fields.editor),
+            title: plain('title'),
+            container: plain('journal') || plain('booktitle') || plain('journaltitle'),
+            year: firstYear(fields.year || fields.date),
+            publisher: plain('publisher') || plain('institution') || plain('organization') || plain('school'),
+            place: plain('address') || plain('location'),
+            issue: joinIssue(plain('volume'), plain('number') || plain('issue')),
+            pages: plain('pages').replace(/\s*[–—-]+\s*/, '-'),
+            url: fields.url ? fields.url.trim() : '',
+            doi: fields.doi ? fields.doi.trim() : ''
+        };
+    });
+}
+
+// ---------------------------------------------------------------- RIS
+
+/**
+ * RIS records to the common entry shape
+ */
+function fromRis(text) {
+    const entries = [];
+    let tags = null;
+
+    for (const line of text.split(/\r?\n/)) {
+        const match = line.match(/^([A-Z][A-Z0-9])  -\s?(.*)$/);
+        if (!match) continue;
+        const [, tag, value] = match;
+        if (tag === 'TY') {
+            tags = { TY: [value.trim()] };
+        } else if (tag === 'ER') {
+            if (tags) entries.push(tags);
+            tags = null;
+        } else if (tags) {
+            (tags[tag] = tags[tag] || []).push(value.trim());
+        }
+    }
+
+    return entries.map(tags => {
+        const first = (...names) => names.map(name => (tags[name] || [])[0]).find(Boolean) || '';
+        const names = (...fields) => fields.flatMap(name => tags[name] || []).map(name => formatName(splitName(name)));
+        const type = tags.TY[0];
+        return {
+            sourceType: type,
+            category: TYPE_MAP.ris[type] || null,
+            authors: names('AU', 'A1'),
+            editors: names('ED', 'A2').filter(() => type === 'CHAP' || type === 'ECHAP' || type === 'EDBOOK'),
+            title: first('TI', 'T1', 'BT'),
+            container: first('T2', 'JO', 'JF', 'JA', 'BT'),
+            year: firstYear(first('PY', 'Y1', 'DA')),
+            publisher: first('PB'),
+            place: first('CY', 'PP'),
+            issue: joinIssue(first('VL'), first('IS')),
+            pages: joinPages(first('SP'), first('EP')),
+            url: first('UR', 'L1'),
+            doi: first('DO')
+        };
+    });
+}
+
+// ---------------------------------------------------------------- CSL-JSON
+
+/**
+ * CSL-JSON items to the common entry shape
+ */
+function fromCsl(text) {
+    let items = JSON.parse(text);
+    if (!Array.isArray(items)) {
+        items = Array.isArray(items.items) ? items.items : [items];
+    }
+    const names = list => (list || []).map(name => formatName({
+        given: name.given || '',
+        family: [name['non-dropping-particle'], name.family].filter(Boolean).join(' '),
+        literal: name.literal || ''
+    }));
+    const year = issued => {
+        if (!issued) return '';
+        if (issued['date-parts'] && issued['date-parts'][0]) return String(issued['date-parts'][0][0] || '');
+        return firstYear(issued.raw || issued.literal);
+    };
+
+    return items.map(item => ({
+        sourceType: item.type,
+        category: TYPE_MAP['csl-json'][item.type] || null,
+        authors: names(item.author),
+        editors: names(item.editor),
+        title: item.title || '',
+        container: item['container-title'] || '',
+        year: year(item.issued),
+        publisher: item.publisher || '',
+        place: item['publisher-place'] || '',
+        issue: joinIssue(item.volume, item.issue),
+        pages: String(item.page || '').replace(/\s*[–—-]+\s*/, '-'),
+        url: item.URL || '',
+        doi: item.DOI || ''
+    }));
+}
+
+// ---------------------------------------------------------------- Import
+
+/**
+ * Build a cv_data.json publication with the fields of a category definition from a parsed entry
+ */
+function toPublication(category, entry) {
+    const values = {
+        authors: entry.authors,
+        title: entry.title,
+        publication: entry.container,
+        year: entry.year,
+        publisher: entry.publisher,
+        place: entry.place,
+        url: entry.url,
+        editors: entry.editors,
+        issue: entry.issue,
+        pages: entry.pages
+    };
+    const publication = { id: generateItemId(), visible: true };
+    for (const field of category.fields) {
+        publication[field] = values[field] !== undefined ? values[field] : '';
+    }
+    if (entry.url && !('url' in publication)) publication.url = entry.url;
+    if (entry.doi) publication.doi = normalizeDoi(entry.doi);
+    return publication;
+}
+
+/**
+ * Find an existing publication with the same DOI, or the same title and year
+ */
+function findDuplicate(publication, data) {
+    const doi = normalizeDoi(publication.doi);
+    const title = normalizeTitle(publication.title);
+    for (const [category, items] of Object.entries(data.publications || {})) {
+        if (!Array.isArray(items)) continue;
+        for (const item of items) {
+            const sameDoi = doi && normalizeDoi(item.doi) === doi;
+            const sameTitle = title && normalizeTitle(item.title) === title && String(item.year || '') === String(publication.year || '');
+            if (sameDoi || sameTitle) {
+                return { category, id: item.id, title: item.title, year: item.year, by: sameDoi ? 'doi' : 'title' };
+            }
+        }
+    }
+    return null;
+}
+
+/**
+ * Parse an import text and prepare a preview against the existing data
+ *
+ * Returns {
+ *   format,
+ *   entries: [{ category, publication, duplicateOf, warnings }],
+ *   skipped: [{ type, title, reason }]
+ * }
+ */
+function importPublications(text, format, data) {
+    const detected = format || detectFormat(text);
+    if (!detected) {
+        throw new Error(`Could not detect the format (expected one of: ${IMPORT_FORMATS.join(', ')})`);
+    }
+    if (!IMPORT_FORMATS.includes(detected)) {
+        throw new Error(`Unknown import format '${detected}' (expected one of: ${IMPORT_FORMATS.join(', ')})`);
+    }
+
+    let parsed;
+    try {
+        parsed = { bibtex: fromBibtex, ris: fromRis, 'csl-json': fromCsl }[detected](text);
+    } catch (err) {
+        throw new Error(`Could not parse ${detected}: ${err.message}`);
+    }
+
+    const entries = [];
+    const skipped = [];
+    // Field sets come from the data's category definitions, where they exist
+    const categories = getPublicationCategories(data);
+    const definition = id => categories.find(c => c.id === id) || DEFAULT_PUBLICATION_CATEGORIES.find(c => c.id === id);
+
+    // Entries already in this import count as existing for the ones after them
+    const seen = { publications: {} };
+
+    for (const entry of parsed) {
+        if (!entry.category) {
+            skipped.push({ type: entry.sourceType, title: entry.title, reason: `Unsupported entry type '${entry.sourceType}'` });
+            continue;
+        }
+        if (!entry.title) {
+            skipped.push({ type: entry.sourceType, title: '', reason: 'Entry has no title' });
+            continue;
+        }
+
+        const publication = toPublication(definition(entry.category), entry);
+        const warnings = [];
+        if ((publication.authors || []).length === 0) warnings.push('No authors');
+        if (!publication.year) warnings.push('No year');
+
+        const duplicateOf = findDuplicate(publication, data) || findDuplicate(publication, seen);
+        (seen.publications[entry.category] = seen.publications[entry.category] || []).push(publication);
+        entries.push({ category: entry.category, sourceType: entry.sourceType, publication, duplicateOf, warnings });
+    }
+
+    return { format: detected, entries, skipped };
+}
+
+module.exports = {
+    IMPORT_FORMATS,
+    detectFormat,
+    formatName,
+    importPublications
+};
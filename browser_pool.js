@@ -0,0 +1,170 @@
+/**
+ * Browser Pool - One long-lived headless Chromium shared by PDF generation
+ * Used by generate_cv_lib.js for both the generate_cv.js CLI and server.js
+ *
+ * Pages are reused between jobs and at most MAX_PAGES render at the same time.
+ * If Chromium crashes or disconnects, the next job launches a fresh browser.
+ */
+
+const MAX_PAGES = Math.max(1, parseInt(process.env.PDF_CONCURRENCY, 10) || 2);
+const LAUNCH_OPTIONS = {
+    headless: 'new',
+    args: ['--no-sandbox', '--disable-setuid-sandbox']
+};
+
+let browser = null;
+let launching = null;
+let idlePages = [];
+let activePages = 0;
+const waiting = [];
+
+/**
+ * Load puppeteer lazily so the rest of the app works without it
+ */
+function loadPuppeteer() {
+    try {
+        return require('puppeteer');
+    } catch (e) {
+        throw new Error('puppeteer not installed. Run: npm install puppeteer');
+    }
+}
+
+/**
+ * Get the shared browser, launching it if needed
+ */
+async function getBrowser() {
+    if (browser && browser.connected) {
+        return browser;
+    }
+    if (!launching) {
+        launching = (async () => {
+            const instance = await loadPuppeteer().launch(LAUNCH_OPTIONS);
+            instance.on('disconnected', () => {
+                if (browser === instance) {
+                    console.warn('  Browser disconnected, will relaunch on next request');
+                    browser = null;
+                    idlePages = [];
+                }
+            });
+            browser = instance;
+            idlePages = [];
+            return instance;
+        })().finally(() => {
+            launching = null;
+        });
+    }
+    return launching;
+}
+
+/**
+ * Wait for a free page slot (concurrency limit)
+ */
+function acquireSlot() {
+    if (activePages < MAX_PAGES) {
+        activePages++;
+        return Promise.resolve();
+    }
+    return new Promise(resolve => waiting.push(resolve));
+}
+
+/**
+ * Hand the slot to the next waiting job, or free it
+ */
+function releaseSlot() {
+    const next = waiting.shift();
+    if (next) {
+        next();
+    } else {
+        activePages--;
+    }
+}
+
+/**
+ * Take an idle page from the pool or open a new one
+ */
+async function checkoutPage() {
+    const instance = await getBrowser();
+    while (idlePages.length > 0) {
+        const page = idlePages.pop();
+        if (!page.isClosed() && page.browser() === instance) {
+            return page;
+        }
+    }
+    return instance.newPage();
+}
+
+/**
+ * Return a page to the pool, blanked so it doesn't hold on to the last document
+ */
+async function returnPage(page) {
+    try {
+        if (page.isClosed() || !browser || page.browser() !== browser) return;
+        await page.goto('about:blank');
+        idlePages.push(page);
+    } catch (e) {
+        await page.close().catch(() => {});
+    }
+}
+
+/**
+ * Run a job with a pooled page
+ * Retries once on a fresh browser if Chromium went away mid-job
+ */
+async function withPage(job) {
+    await acquireSlot();
+    try {
+        for (let attempt = 1; ; attempt++) {
+            let page;
+            try {
+                page = await checkoutPage();
+                const result = await job(page);
+                await returnPage(page);
+                return result;
+            } catch (err) {
+                // Only a browser that was running and then went away is worth a retry
+                const crashed = page !== undefined && !page.browser().connected;
+                if (page) await page.close().catch(() => {});
+                if (!crashed || attempt >= 2) throw err;
+                console.warn('  Browser crashed, retrying on a new instance...');
+            }
+        }
+    } finally {
+        releaseSlot();
+    }
+}
+
+/**
+ * Resolve once the document has finished rendering: web fonts loaded,
+ * images decoded and a frame painted. Replaces a fixed delay.
+ */
+async function waitForRender(page) {
+    await page.evaluate(async () => {
+        await document.fonts.ready;
+        await Promise.all(Array.from(document.images).map(img =>
+            img.complete ? null : new Promise(resolve => {
+                img.addEventListener('load', resolve, { once: true });
+                img.addEventListener('error', resolve, { once: true });
+            })
+        ));
+        await new Promise(resolve => requestAnimationFrame(() => requestAnimationFrame(resolve)));
+    });
+}
+
+/**
+ * Close the shared browser (call on shutdown)
+ */
+async function closeBrowser() {
+    const instance = browser || (launching && await launching.catch(() => null));
+    browser = null;
+    idlePages = [];
+    if (instance) {
+        await instance.close().catch(() => {});
+    }
+}
+
+module.exports = {
+    getBrowser,
+    withPage,
+    waitForRender,
+    closeBrowser
+};
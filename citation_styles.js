@@ -0,0 +1,312 @@
+/**
+ * Citation Styles - Reference-list formatting of publications
+ * Used by generate_cv_lib.js and generate_portfolio.js (the `cite` template filters)
+ * and bibliography_export.js
+ *
+ * Publications are cv_data.json entries of a category (see publication_categories.js);
+ * the category's kind decides the form. Names are stored as "F.J. Zuiderveen Borgesius".
+ *
+ * Styles: house (default), apa, chicago (author-date) and oscola. The style is
+ * chosen per build (--citation-style) or per profile (`citationStyle`).
+ * Every style formats a publication in three parts:
+ *   lead   - authors and, depending on the style, the year
+ *   title  - the title
+ *   source - container, editors, issue/pages, place/publisher and the DOI or URL
+ */
+
+const { DEFAULT_PUBLICATION_CATEGORIES } = require('./publication_categories');
+
+const DEFAULT_CITATION_STYLE = 'house';
+
+/**
+ * How a category is cited: `category` is a category definition or the id of a default category
+ */
+function categoryKind(category) {
+    if (category && typeof category === 'object') {
+        return category.kind || 'report';
+    }
+    const known = DEFAULT_PUBLICATION_CATEGORIES.find(c => c.id === category);
+    return known ? known.kind : 'report';
+}
+
+/**
+ * Split a stored name into { given, family }, or { literal } for organisations
+ * Leading initials are the given names: "J. van der Toorn" -> { given: 'J.', family: 'van der Toorn' }
+ */
+function parseName(name) {
+    const words = String(name).trim().split(/\s+/);
+    const initials = [];
+    while (words.length > 1 && /^([A-Z][a-z]?\.-?)+$/.test(words[0])) {
+        initials.push(words.shift());
+    }
+    if (initials.length === 0) {
+        return { literal: words.join(' ') };
+    }
+    return { given: initials.join(''), family: words.join(' ') };
+}
+
+/**
+ * "et al." in an author list stands for the remaining authors
+ */
+function isEtAl(name) {
+    return /^et\s+al\.?$/i.test(String(name).trim());
+}
+
+/**
+ * Split a stored issue into volume and number: "12(3)" -> { volume: '12', number: '3' }
+ */
+function splitIssue(issue) {
+    const match = String(issue || '').match(/^\s*([^()]+?)\s*\(([^)]+)\)\s*$/);
+    return match ? { volume: match[1], number: match[2] } : { volume: '', number: String(issue || '') };
+}
+
+/**
+ * Link for a publication: the DOI when there is one, otherwise the URL
+ */
+function publicationLink(pub) {
+    return pub.doi ? `https://doi.org/${pub.doi}` : (pub.url || '');
+}
+
+function escapeHtml(text) {
+    return String(text).replace(/&/g, '&amp;').replace(/</g, '&lt;').replace(/>/g, '&gt;').replace(/"/g, '&quot;');
+}
+
+// Name forms: "F. J." and "FJ"
+const spacedInitials = given => given.replace(/\.(?=[A-Z])/g, '. ');
+const bareInitials = given => given.replace(/\./g, '');
+
+/**
+ * Join a list as "A, B, & C" (serial) or "A, B and C"
+ */
+function joinList(items, and, serialComma) {
+    if (items.length <= 1) return items.join('');
+    if (items.length === 2) return `${items[0]}${serialComma && and === '&' ? ',' : ''} ${and} ${items[1]}`;
+    return `${items.slice(0, -1).join(', ')}${serialComma ? ',' : ''} ${and} ${items[items.length - 1]}`;
+}
+
+function pageRange(pages) {
+    return String(pages || '').replace(/\s*[-–—]+\s*/, '–');
+}
+
+// Add a full stop unless the text already ends a sentence
+const sentence = text => (/[.?!]$/.test(text) ? text : `${text}.`);
+
+// ---------------------------------------------------------------- Styles
+
+/**
+ * House style, as the CV has always listed publications:
+ * Authors (Year). Title. In: Editors (eds.), Book. Place: Publisher.
+ */
+function houseStyle(pub, kind, f) {
+    const authors = (pub.authors || []).join(', ');
+    const lead = f.esc(`${authors ? `${authors} ` : ''}(${pub.year || 'n.d.'}).`);
+    const standalone = kind === 'book' || kind === 'report';
+    const title = standalone ? sentence(f.em(pub.title)) : f.esc(sentence(pub.title));
+
+    const source = [];
+    const imprint = [pub.place, pub.publisher].filter(Boolean).join(': ');
+    if (kind === 'chapter') {
+        const editors = (pub.editors || []).length > 0 ? `${pub.editors.join(', ')} (eds.), ` : '';
+        const pages = pub.pages ? f.esc(`, pp. ${pageRange(pub.pages)}`) : '';
+        if (pub.publication) source.push(`${f.esc(`In: ${editors}`)}${f.em(pub.publication)}${pages}.`);
+        if (imprint) source.push(f.esc(sentence(imprint)));
+    } else if (kind === 'article') {
+        const details = [pub.publication ? f.em(pub.publication) : '', f.esc(pub.issue || ''), f.esc(pageRange(pub.pages))];
+        if (details.some(Boolean)) source.push(`${details.filter(Boolean).join(', ')}.`);
+    } else if (imprint) {
+        source.push(f.esc(sentence(imprint)));
+    }
+    return { lead, title, source: source.join(' ') };
+}
+
+/**
+ * APA 7: Family, I. I., & Family, I. (Year). Title. In E. Editor (Ed.), Book (pp. x–y). Publisher.
+ */
+function apaStyle(pub, kind, f) {
+    const names = pub.authors || [];
+    const list = names.filter(name => !isEtAl(name)).map(name => {
+        const parts = parseName(name);
+        return parts.literal || `${parts.family}, ${spacedInitials(parts.given)}`;
+    });
+    const authors = names.some(isEtAl) ? `${list.join(', ')}, et al.` : joinList(list, '&', true);
+    const lead = f.esc(`${authors ? `${authors} ` : ''}(${pub.year || 'n.d.'}).`);
+    const standalone = kind === 'book' || kind === 'report';
+    const title = standalone ? sentence(f.em(pub.title)) : f.esc(sentence(pub.title));
+
+    const source = [];
+    if (kind === 'article') {
+        const { volume, number } = splitIssue(pub.issue);
+        let container = pub.publication ? f.em(pub.publication) : '';
+        if (volume) container += `, ${f.em(volume)}`;
+        if (number) container += volume ? f.esc(`(${number})`) : f.esc(`, ${number}`);
+        if (pub.pages) container += f.esc(`, ${pageRange(pub.pages)}`);
+        if (container) source.push(`${container}.`);
+    } else {
+        if (kind === 'chapter' && pub.publication) {
+            const editorNames = (pub.editors || []).filter(name => !isEtAl(name)).map(name => {
+                const parts = parseName(name);
+                return parts.literal || `${spacedInitials(parts.given)} ${parts.family}`;
+            });
+            const editors = editorNames.length > 0
+                ? `${joinList(editorNames, '&', editorNames.length > 2)} (${editorNames.length === 1 ? 'Ed.' : 'Eds.'}), `
+                : '';
+            const pages = pub.pages ? f.esc(` (pp. ${pageRange(pub.pages)})`) : '';
+            source.push(`${f.esc(`In ${editors}`)}${f.em(pub.publication)}${pages}.`);
+        }
+        if (pub.publisher) source.push(f.esc(sentence(pub.publisher)));
+    }
+    return { lead, title, source: source.join(' ') };
+}
+
+/**
+ * Chicago author-date: Family, I. I., and I. Family. Year. "Title." In Book, edited by ..., pages. Place: Publisher.
+ */
+function chicagoStyle(pub, kind, f) {
+    const names = pub.authors || [];
+    const list = names.filter(name => !isEtAl(name)).map((name, index) => {
+        const parts = parseName(name);
+        if (parts.literal) return parts.literal;
+        const given = spacedInitials(parts.given);
+        return index === 0 ? `${parts.family}, ${given}` : `${given} ${parts.family}`;
+    });
+    // The first name is inverted, so even two names take a comma: "Kulk, S., and F. J. Zuiderveen Borgesius"
+    const authors = names.some(isEtAl) ? `${list.join(', ')}, et al.`
+        : list.length === 2 ? `${list[0]}, and ${list[1]}` : joinList(list, 'and', true);
+    const lead = f.esc(`${authors ? sentence(authors) : ''} ${pub.year || 'n.d.'}.`.trim());
+    const standalone = kind === 'book' || kind === 'report';
+    const title = standalone ? sentence(f.em(pub.title)) : f.esc(`“${sentence(pub.title)}”`);
+
+    const source = [];
+    const imprint = [pub.place, pub.publisher].filter(Boolean).join(': ');
+    if (kind === 'article') {
+        const { volume, number } = splitIssue(pub.issue);
+        let container = pub.publication ? f.em(pub.publication) : '';
+        if (volume) container += f.esc(` ${volume}`);
+        if (number) container += volume ? f.esc(` (${number})`) : f.esc(`, no. ${number}`);
+        if (pub.pages) container += f.esc(`: ${pageRange(pub.pages)}`);
+        if (container) source.push(`${container}.`);
+    } else {
+        if (kind === 'chapter' && pub.publication) {
+            const editorNames = (pub.editors || []).filter(name => !isEtAl(name)).map(name => {
+                const parts = parseName(name);
+                return parts.literal || `${spacedInitials(parts.given)} ${parts.family}`;
+            });
+            const editors = editorNames.length > 0 ? f.esc(`, edited by ${joinList(editorNames, 'and', true)}`) : '';
+            const pages = pub.pages ? f.esc(`, ${pageRange(pub.pages)}`) : '';
+            source.push(`${f.esc('In ')}${f.em(pub.publication)}${editors}${pages}.`);
+        }
+        if (imprint) source.push(f.esc(sentence(imprint)));
+    }
+    return { lead, title, source: source.join(' ') };
+}
+
+/**
+ * OSCOLA (bibliography form): Family I and Family I, 'Title' in I Editor (ed), Book (Publisher Year)
+ * Articles: Family I, 'Title' (Year) volume(number) Journal first page. No closing full stops.
+ */
+function oscolaStyle(pub, kind, f) {
+    const oscolaNames = (names, familyFirst) => {
+        const list = names.filter(name => !isEtAl(name)).map(name => {
+            const parts = parseName(name);
+            if (parts.literal) return parts.literal;
+            return familyFirst ? `${parts.family} ${bareInitials(parts.given)}` : `${bareInitials(parts.given)} ${parts.family}`;
+        });
+        // More than three names: the first one "and others"
+        if (list.length > 3 || names.some(isEtAl)) return `${list[0]} and others`;
+        return joinList(list, 'and', false);
+    };
+    const authors = oscolaNames(pub.authors || [], true);
+    const lead = f.esc(authors ? `${authors},` : '');
+    const standalone = kind === 'book' || kind === 'report';
+    const title = standalone ? f.em(pub.title) : f.esc(`‘${pub.title}’`);
+    const imprint = f.esc(`(${[pub.publisher, pub.year].filter(Boolean).join(' ')})`);
+
+    let source = '';
+    if (kind === 'article') {
+        const { volume, number } = splitIssue(pub.issue);
+        const firstPage = String(pub.pages || '').split(/\s*[-–—]+\s*/)[0];
+        const parts = [`(${pub.year || 'n.d.'})`, `${volume || number}${volume && number ? `(${number})` : ''}`, pub.publication, firstPage];
+        source = f.esc(parts.filter(Boolean).join(' '));
+    } else if (kind === 'chapter') {
+        const editorCount = (pub.editors || []).filter(name => !isEtAl(name)).length;
+        const editors = editorCount > 0
+            ? `${oscolaNames(pub.editors, false)} (${editorCount === 1 ? 'ed' : 'eds'}), `
+            : '';
+        source = pub.publication ? `${f.esc(`in ${editors}`)}${f.em(pub.publication)} ${imprint}` : imprint;
+    } else {
+        source = imprint;
+    }
+    return { lead, title, source, link: link => f.esc('<') + link + f.esc('>') };
+}
+
+const CITATION_STYLES = {
+    house: { label: 'House style', format: houseStyle },
+    apa: { label: 'APA (7th edition)', format: apaStyle },
+    chicago: { label: 'Chicago (author-date)', format: chicagoStyle },
+    oscola: { label: 'OSCOLA', format: oscolaStyle }
+};
+
+/**
+ * Citation styles for selection lists
+ */
+function listCitationStyles() {
+    return Object.entries(CITATION_STYLES).map(([id, style]) => ({
+        id,
+        label: style.label,
+        default: id === DEFAULT_CITATION_STYLE
+    }));
+}
+
+/**
+ * Style name to use: the requested one, else the profile's, else the default; unknown names throw
+ */
+function resolveCitationStyle(name, profile) {
+    const style = name || (profile && profile.citationStyle) || DEFAULT_CITATION_STYLE;
+    if (!CITATION_STYLES[style]) {
+        throw new Error(`Unknown citation style '${style}' (available: ${Object.keys(CITATION_STYLES).join(', ')})`);
+    }
+    return style;
+}
+
+/**
+ * The lead, title and source of a citation
+ * With { html: true } the parts are escaped HTML: emphasised text in <em class="pub-title">
+ * and the DOI or URL as a link; otherwise plain text
+ */
+function formatCitationParts(pub, category, style = DEFAULT_CITATION_STYLE, options = {}) {
+    const f = {
+        esc: options.html ? escapeHtml : text => String(text),
+        em: text => (options.html ? `<em class="pub-title">${escapeHtml(text)}</em>` : String(text))
+    };
+    const kind = categoryKind(category);
+    const parts = CITATION_STYLES[resolveCitationStyle(style)].format(pub, kind, f);
+
+    const url = publicationLink(pub);
+    if (url) {
+        const text = options.html ? `<a class="pub-link" href="${escapeHtml(url)}">${escapeHtml(url)}</a>` : url;
+        const link = parts.link ? parts.link(text) : text;
+        parts.source = [parts.source, link].filter(Boolean).join(' ');
+    }
+    return { lead: parts.lead, title: parts.title, source: parts.source };
+}
+
+/**
+ * Format a publication as one reference-list entry
+ */
+function formatCitation(pub, category, style = DEFAULT_CITATION_STYLE, options = {}) {
+    const { lead, title, source } = formatCitationParts(pub, category, style, options);
+    return [lead, title, source].filter(Boolean).join(' ');
+}
+
+module.exports = {
+    DEFAULT_CITATION_STYLE,
+    CITATION_STYLES,
+    parseName,
+    isEtAl,
+    splitIssue,
+    publicationLink,
+    listCitationStyles,
+    resolveCitationStyle,
+    formatCitationParts,
+    formatCitation
+};
@@ -0,0 +1,233 @@
+/**
+ * CV Dates - Structured dates of experience, education and presentations
+ * Used by generate_cv_lib.js, generate_portfolio.js, json_resume.js, europass.js and server.js
+ *
+ * Dates are ISO years or year-months ("2019", "2022-09"):
+ *   experience, education - start and end; without an end the entry is ongoing ("Present")
+ *   presentations         - date
+ * The texts shown in the CV ("September 2022 – Heden", "4 yrs 2 mos") are made per
+ * language when rendering. Data from before structured dates has free-text
+ * `period`/`date` values; migrateDates() converts the ones it can read.
+ */
+
+const ISO_DATE_PATTERN = /^\d{4}(-(0[1-9]|1[0-2]))?$/;
+
+// Duration units when the translations don't define them
+const DEFAULT_DURATION_UNITS = {
+    duration_year: 'yr',
+    duration_years: 'yrs',
+    duration_month: 'mo',
+    duration_months: 'mos'
+};
+
+function isISODate(value) {
+    return typeof value === 'string' && ISO_DATE_PATTERN.test(value);
+}
+
+/**
+ * Month names in a language, lowercased: [{ long, short }] for January to December
+ */
+function monthNames(lang) {
+    return Array.from({ length: 12 }, (_, month) => {
+        const date = new Date(Date.UTC(2000, month, 1));
+        const name = style => new Intl.DateTimeFormat(lang, { month: style, timeZone: 'UTC' })
+            .format(date).toLowerCase().replace(/\.$/, '');
+        return { long: name('long'), short: name('short') };
+    });
+}
+
+/**
+ * ISO date ("2022-09" or "2022") from a text like "September 2022", or '' without a year
+ */
+function parseDate(text, lang) {
+    const year = (String(text).match(/\b(\d{4})\b/) || [])[1];
+    if (!year) return '';
+    const words = String(text).toLowerCase().match(/\p{L}+/gu) || [];
+    // Full names, short names and other abbreviations ("Sept")
+    const month = monthNames(lang).findIndex(({ long, short }) =>
+        words.some(word => word === long || word === short || (word.length >= 3 && long.startsWith(word))));
+    return month >= 0 ? `${year}-${String(month + 1).padStart(2, '0')}` : year;
+}
+
+/**
+ * Start and end of a period text ("September 2022 – Present", "2012 – 2019", "2014")
+ * An end without a year (Present, Heden) means ongoing: end is null.
+ * A single date is both start and end; start is '' when there is no year at all.
+ */
+function parsePeriod(text, lang) {
+    const [start, end] = String(text || '').split(/\s+[-–—]\s+|\s*[–—]\s*/);
+    const startDate = parseDate(start || '', lang);
+    if (end === undefined) return { start: startDate, end: startDate };
+    return { start: startDate, end: parseDate(end, lang) || null };
+}
+
+/**
+ * "September 2022" / "2019" in the language
+ * The month is capitalized as at the start of a text, unless `capitalize` is false
+ */
+function formatDate(date, lang, capitalize = true) {
+    if (!isISODate(date)) return date || '';
+    const [year, month] = date.split('-');
+    if (!month) return year;
+    const name = new Intl.DateTimeFormat(lang, { month: 'long', timeZone: 'UTC' })
+        .format(new Date(Date.UTC(Number(year), Number(month) - 1, 1)));
+    return `${capitalize ? name.charAt(0).toLocaleUpperCase(lang) : name.charAt(0)}${name.slice(1)} ${year}`;
+}
+
+/**
+ * "September 2022 – Present", "2012 – 2019" or "2014"
+ * `present` is the word for an ongoing end (t.present)
+ */
+function formatPeriod(start, end, lang, present = 'Present') {
+    if (!start) return end ? formatDate(end, lang) : '';
+    if (start === end) return formatDate(start, lang);
+    return `${formatDate(start, lang)} – ${end ? formatDate(end, lang, false) : present}`;
+}
+
+/**
+ * Months from start to end (ongoing: until now), both months included
+ * With a bare year on either side only whole years are counted: 2015 – 2020 is 5 years
+ */
+function durationMonths(start, end, now = new Date()) {
+    if (!isISODate(start)) return null;
+    const [startYear, startMonth] = start.split('-').map(Number);
+    const [endYear, endMonth] = end
+        ? end.split('-').map(Number)
+        : [now.getUTCFullYear(), now.getUTCMonth() + 1];
+    if (!startMonth || !endMonth) {
+        return Math.max(1, endYear - startYear) * 12;
+    }
+    return Math.max(0, (endYear - startYear) * 12 + endMonth - startMonth + 1);
+}
+
+/**
+ * "3 yrs 2 mos" with the units of the translations (duration_year(s), duration_month(s))
+ */
+function formatDuration(months, t = {}) {
+    if (months === null || months === undefined) return '';
+    const unit = key => t[key] || DEFAULT_DURATION_UNITS[key];
+    const years = Math.floor(months / 12);
+    const rest = months % 12;
+    const parts = [];
+    if (years > 0) parts.push(`${years} ${unit(years === 1 ? 'duration_year' : 'duration_years')}`);
+    if (rest > 0 || years === 0) parts.push(`${rest} ${unit(rest === 1 ? 'duration_month' : 'duration_months')}`);
+    return parts.join(' ');
+}
+
+/**
+ * Sort key of an entry: ongoing first, then by end and start, newest first
+ */
+function dateKey(item) {
+    const pad = (date, month) => date.length === 4 ? `${date}-${month}` : date;
+    if (isISODate(item.date)) return pad(item.date, '12');
+    if (!isISODate(item.start)) return '';
+    return `${item.end ? pad(item.end, '12') : '9999-99'}|${pad(item.start, '01')}`;
+}
+
+/**
+ * Comparator for Array.sort: newest first, entries without dates last (in their order)
+ */
+function compareByDate(a, b) {
+    const ka = dateKey(a);
+    const kb = dateKey(b);
+    if (!ka || !kb) return (ka ? 0 : 1) - (kb ? 0 : 1);
+    return kb.localeCompare(ka);
+}
+
+/**
+ * Add the display texts to localized data:
+ *   experience/education: period (and duration for experience) from start/end
+ *   presentations: dateLabel and year from date
+ * Entries that still have free-text values keep them. The order of the entries
+ * is left alone (it may come from a profile or the editor); sort with
+ * compareByDate where a list should be newest first.
+ */
+function addDateLabels(cv, lang, t = {}, now = new Date()) {
+    for (const section of ['experience', 'education']) {
+        for (const item of cv[section] || []) {
+            if (!isISODate(item.start)) continue;
+            item.period = formatPeriod(item.start, item.end, lang, t.present);
+            if (section === 'experience') {
+                item.duration = formatDuration(durationMonths(item.start, item.end, now), t);
+            }
+        }
+    }
+    if (Array.isArray(cv.presentations)) {
+        for (const item of cv.presentations) {
+            item.dateLabel = formatDate(item.date, lang);
+            item.year = (String(item.date || '').match(/\d{4}/) || [''])[0];
+        }
+    }
+    return cv;
+}
+
+/**
+ * Replace a key of an entry by other keys, keeping the key order
+ */
+function replaceKey(item, key, values) {
+    const result = {};
+    for (const [k, v] of Object.entries(item)) {
+        if (k === key) Object.assign(result, values);
+        else result[k] = v;
+    }
+    return result;
+}
+
+/**
+ * Convert free-text periods and presentation dates to structured dates
+ * Localized texts are read in the first language that has one; plain texts in every
+ * language, preferring one that reads the month ("mei 2025" is Dutch, not just 2025).
+ * Texts without a year are left as they are.
+ * Returns the number of converted entries
+ */
+function migrateDates(data, languages) {
+    let migrated = 0;
+    const hasMonth = date => typeof date === 'string' && date.length > 4;
+    const read = (value, parse) => {
+        if (typeof value === 'string') {
+            const periods = languages.map(lang => parse(value, lang));
+            return periods.find(period => hasMonth(period.start)) || periods[0];
+        }
+        for (const lang of languages) {
+            if (value && value[lang]) return parse(value[lang], lang);
+        }
+        return null;
+    };
+
+    for (const section of ['experience', 'education']) {
+        (data[section] || []).forEach((item, i) => {
+            if (item.start || !item.period) return;
+            const period = read(item.period, parsePeriod);
+            if (!period || !period.start) return;
+            data[section][i] = replaceKey(item, 'period', period.end
+                ? { start: period.start, end: period.end }
+                : { start: period.start });
+            migrated++;
+        });
+    }
+
+    (data.presentations || []).forEach(item => {
+        if (!item.date || isISODate(item.date)) return;
+        // A language that reads the month wins over one that only finds the year
+        const dates = languages.map(lang => parseDate(item.date, lang)).filter(value => value);
+        const date = dates.find(hasMonth) || dates[0];
+        if (!date) return;
+        item.date = date;
+        migrated++;
+    });
+    return migrated;
+}
+
+module.exports = {
+    ISO_DATE_PATTERN,
+    isISODate,
+    parseDate,
+    parsePeriod,
+    formatDate,
+    formatPeriod,
+    durationMonths,
+    formatDuration,
+    compareByDate,
+    addDateLabels,
+    migrateDates
+};
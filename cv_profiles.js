@@ -0,0 +1,102 @@
+/**
+ * CV Profiles - Named variants of the CV stored under `profiles` in cv_data.json
+ * Used by generate_cv_lib.js (renderHTML), generate_cv.js CLI and server.js
+ *
+ * A profile can override:
+ *   sectionVisibility - merged over the base section switches
+ *   items             - per list ("experience", "publications.articles", ...), the ids
+ *                       of the entries to include, in display order
+ *   profile           - localized profile text, per language
+ *   pageSettings      - merged over the base page settings (see page_settings.js)
+ *
+ * Profiles are applied to a copy of the data; the base record is never changed.
+ */
+
+const { getItemLists } = require('./item_ids');
+
+/**
+ * List the profiles defined in the data
+ */
+function listProfiles(data) {
+    return Object.entries(data.profiles || {}).map(([id, profile]) => ({
+        id,
+        label: profile.label || id
+    }));
+}
+
+/**
+ * Return a copy of the data with the named profile applied
+ * Without a name the data is returned unchanged; unknown names throw
+ */
+function applyProfile(data, name) {
+    if (!name) {
+        return data;
+    }
+    const profiles = data.profiles || {};
+    const profile = profiles[name];
+    if (!profile) {
+        const available = Object.keys(profiles).join(', ') || 'none';
+        throw new Error(`Unknown profile '${name}' (available: ${available})`);
+    }
+
+    const result = JSON.parse(JSON.stringify(data));
+
+    if (profile.sectionVisibility) {
+        result.sectionVisibility = { ...result.sectionVisibility, ...profile.sectionVisibility };
+    }
+
+    if (profile.pageSettings) {
+        const base = result.pageSettings || {};
+        result.pageSettings = {
+            ...base,
+            ...profile.pageSettings,
+            margins: { ...base.margins, ...profile.pageSettings.margins }
+        };
+    }
+
+    // Empty overrides keep the base text for that language
+    if (profile.profile) {
+        const overrides = Object.entries(profile.profile).filter(([, text]) => text && text.trim());
+        result.profile = { ...result.profile, ...Object.fromEntries(overrides) };
+    }
+
+    // Selected entries are shown in the profile's order, even if hidden in the base CV
+    const selections = profile.items || {};
+    for (const { key, items } of getItemLists(result)) {
+        const ids = selections[key];
+        if (!Array.isArray(ids)) continue;
+
+        const byId = new Map(items.filter(item => item.id).map(item => [item.id, item]));
+        const selected = ids
+            .filter(id => byId.has(id))
+            .map(id => ({ ...byId.get(id), visible: true }));
+
+        items.splice(0, items.length, ...selected);
+    }
+
+    return result;
+}
+
+/**
+ * Ids referenced by a profile that no longer match an entry in the data
+ */
+function findMissingItems(data, name) {
+    const selections = (data.profiles?.[name] || {}).items || {};
+    const lists = new Map(getItemLists(data).map(list => [list.key, list.items]));
+    const missing = [];
+    for (const [key, ids] of Object.entries(selections)) {
+        const items = lists.get(key) || [];
+        for (const id of ids) {
+            if (!items.some(item => item.id === id)) {
+                missing.push(`${key}: ${id}`);
+            }
+        }
+    }
+    return missing;
+}
+
+module.exports = {
+    listProfiles,
+    applyProfile,
+    findMissingItems
+};
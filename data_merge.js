@@ -0,0 +1,90 @@
+/**
+ * Data Merge - Three-way merge of concurrent edits to the CV data
+ * Used by server.js when a save is based on an outdated revision
+ *
+ * Changes made on only one side are combined; fields changed differently on
+ * both sides are reported as conflicts. List entries with ids are matched by
+ * id, like in the revision diff, so edits to different entries never conflict.
+ */
+
+const isObject = value => value !== null && typeof value === 'object' && !Array.isArray(value);
+const isIdList = value => Array.isArray(value) && value.length > 0 && value.every(item => isObject(item) && item.id);
+const equal = (a, b) => JSON.stringify(a) === JSON.stringify(b);
+
+/**
+ * Merge `mine` and `theirs`, both derived from `base`
+ * `base` may be undefined when the common version is unknown: every difference is then a conflict.
+ *
+ * Returns { merged, conflicts: [{ path, base, mine, theirs }] }.
+ * `merged` uses the `mine` value for every conflict.
+ */
+function mergeData(base, mine, theirs) {
+    const conflicts = [];
+    const baseKnown = base !== undefined;
+
+    const merge = (b, m, t, fieldPath) => {
+        if (equal(m, t)) return m;
+        if (b !== undefined && equal(b, m)) return t;
+        if (b !== undefined && equal(b, t)) return m;
+
+        // Added on one side only
+        if (baseKnown && b === undefined && (m === undefined || t === undefined)) {
+            return m === undefined ? t : m;
+        }
+
+        if (isObject(m) && isObject(t)) {
+            const baseObject = isObject(b) ? b : {};
+            const result = {};
+            for (const key of new Set([...Object.keys(m), ...Object.keys(t)])) {
+                const value = merge(baseObject[key], m[key], t[key], `${fieldPath}/${key}`);
+                if (value !== undefined) result[key] = value;
+            }
+            return result;
+        }
+
+        if (Array.isArray(m) && Array.isArray(t) && (isIdList(m) || m.length === 0) && (isIdList(t) || t.length === 0)) {
+            return mergeEntries(Array.isArray(b) ? b : [], m, t, fieldPath);
+        }
+
+        conflicts.push({ path: fieldPath, base: b, mine: m, theirs: t });
+        return m;
+    };
+
+    const mergeEntries = (b, m, t, fieldPath) => {
+        const byId = list => new Map(list.filter(isObject).map(item => [item.id, item]));
+        const baseById = byId(b);
+        const mineById = byId(m);
+        const theirsById = byId(t);
+
+        const entries = new Map();
+        for (const id of new Set([...mineById.keys(), ...theirsById.keys(), ...baseById.keys()])) {
+            const value = merge(baseById.get(id), mineById.get(id), theirsById.get(id), `${fieldPath}/${id}`);
+            if (value !== undefined) entries.set(id, value);
+        }
+
+        // Keep the order of the side that reordered; entries only the other side has follow their neighbours
+        const order = list => list.map(item => item.id)
+            .filter(id => baseById.has(id) && mineById.has(id) && theirsById.has(id));
+        const theirsReordered = !equal(order(t), order(b)) && equal(order(m), order(b));
+        const [primary, secondary] = theirsReordered ? [t, m] : [m, t];
+
+        const ids = primary.map(item => item.id).filter(id => entries.has(id));
+        secondary.forEach((item, index) => {
+            if (!entries.has(item.id) || ids.includes(item.id)) return;
+            const previous = secondary.slice(0, index).reverse().find(other => ids.includes(other.id));
+            ids.splice(previous ? ids.indexOf(previous.id) + 1 : 0, 0, item.id);
+        });
+        for (const id of entries.keys()) {
+            if (!ids.includes(id)) ids.push(id);
+        }
+
+        return ids.map(id => entries.get(id));
+    };
+
+    const merged = merge(base, mine, theirs, '');
+    return { merged, conflicts };
+}
+
+module.exports = {
+    mergeData
+};
@@ -0,0 +1,330 @@
+/**
+ * DOCX Export - The CV as an editable Word document
+ * Used by generate_cv.js (--format docx) and server.js (POST /api/generate-docx)
+ *
+ * Takes the same localized data and section visibility as renderHTML (see
+ * prepareData) and follows the section order of the classic template. Section
+ * titles and entry titles use Word's Heading 1 and Heading 2 styles, so the
+ * document keeps its structure (navigation pane, outline) when it is edited.
+ */
+
+const {
+    AlignmentType,
+    BorderStyle,
+    Document,
+    Footer,
+    HeadingLevel,
+    HorizontalPositionAlign,
+    HorizontalPositionRelativeFrom,
+    ImageRun,
+    Packer,
+    PageNumber,
+    Paragraph,
+    TextRun,
+    TextWrappingType,
+    VerticalPositionAlign,
+    VerticalPositionRelativeFrom
+} = require('docx');
+const { textFallback, prepareData } = require('./generate_cv_lib');
+const { formatCitation } = require('./citation_styles');
+
+// Colours and fonts of the classic template
+const COLORS = {
+    primary: '1A365D',
+    accent: '2C5282',
+    text: '2D3748',
+    light: '4A5568',
+    border: 'CBD5E0'
+};
+const FONTS = {
+    display: 'Georgia',
+    body: 'Calibri'
+};
+
+// Photo size in pixels; the photo is cropped to a square like the template's
+const PHOTO_SIZE = 90;
+
+/**
+ * Width and height of a JPEG or PNG image, or null for other formats
+ */
+function imageSize(buffer) {
+    if (buffer.length > 24 && buffer.toString('ascii', 1, 4) === 'PNG') {
+        return { type: 'png', width: buffer.readUInt32BE(16), height: buffer.readUInt32BE(20) };
+    }
+    if (buffer[0] === 0xFF && buffer[1] === 0xD8) {
+        // Walk the JPEG segments to the start-of-frame marker
+        let offset = 2;
+        while (offset + 9 < buffer.length) {
+            if (buffer[offset] !== 0xFF) return null;
+            const marker = buffer[offset + 1];
+            if (marker >= 0xC0 && marker <= 0xCF && ![0xC4, 0xC8, 0xCC].includes(marker)) {
+                return { type: 'jpg', width: buffer.readUInt16BE(offset + 7), height: buffer.readUInt16BE(offset + 5) };
+            }
+            offset += 2 + buffer.readUInt16BE(offset + 2);
+        }
+    }
+    return null;
+}
+
+/**
+ * The photo (a data URL) as a floating image at the top right, or null
+ */
+function photoRun(photo, name) {
+    const match = String(photo || '').match(/^data:image\/[\w+.-]+;base64,(.*)$/);
+    if (!match) return null;
+    const data = Buffer.from(match[1], 'base64');
+    const size = imageSize(data);
+    if (!size) {
+        console.warn('  Warning: The photo is not a JPEG or PNG image, leaving it out of the DOCX');
+        return null;
+    }
+
+    // Crop the longer side to a square, keeping the upper part of portraits (object-position: center 20%)
+    const excess = Math.abs(size.width - size.height) / Math.max(size.width, size.height) * 100;
+    const crop = size.height > size.width
+        ? { top: excess * 0.2, bottom: excess * 0.8, left: 0, right: 0 }
+        : { top: 0, bottom: 0, left: excess / 2, right: excess / 2 };
+
+    return new ImageRun({
+        type: size.type,
+        data,
+        transformation: { width: PHOTO_SIZE, height: PHOTO_SIZE },
+        crop,
+        altText: { name: 'Photo', description: name || '', title: name || '' },
+        floating: {
+            horizontalPosition: { relative: HorizontalPositionRelativeFrom.MARGIN, align: HorizontalPositionAlign.RIGHT },
+            verticalPosition: { relative: VerticalPositionRelativeFrom.PARAGRAPH, align: VerticalPositionAlign.TOP },
+            wrap: { type: TextWrappingType.SQUARE },
+            margins: { left: 114300 }
+        }
+    });
+}
+
+function decodeEntities(text) {
+    return text.replace(/&lt;/g, '<').replace(/&gt;/g, '>').replace(/&quot;/g, '"').replace(/&#39;/g, "'").replace(/&amp;/g, '&');
+}
+
+/**
+ * Text runs of a citation, with the parts the style emphasises in italics
+ */
+function citationRuns(pub, category, style) {
+    const html = formatCitation(pub, category, style, { html: true });
+    return html.split(/(<em[^>]*>.*?<\/em>)/).filter(part => part).map(part => new TextRun({
+        text: decodeEntities(part.replace(/<[^>]+>/g, '')),
+        italics: part.startsWith('<em')
+    }));
+}
+
+function text(value) {
+    return value === undefined || value === null ? '' : String(value);
+}
+
+function heading(title) {
+    return new Paragraph({ text: text(title), heading: HeadingLevel.HEADING_1 });
+}
+
+function subheading(title) {
+    return new Paragraph({ text: text(title), heading: HeadingLevel.HEADING_2 });
+}
+
+function paragraph(value, runOptions = {}, paragraphOptions = {}) {
+    return new Paragraph({ ...paragraphOptions, children: [new TextRun({ text: text(value), ...runOptions })] });
+}
+
+function bullet(children) {
+    return new Paragraph({ bullet: { level: 0 }, children });
+}
+
+/**
+ * Paragraphs of the CV body, section by section as in the classic template
+ */
+function buildBody(data) {
+    const { t, visibility } = data;
+    const visible = items => (items || []).filter(item => item.visible !== false);
+    const light = { color: COLORS.light };
+    const body = [];
+
+    if (visibility.profile) {
+        body.push(heading(t.profile), paragraph(data.profile));
+    }
+
+    if (visibility.experience) {
+        body.push(heading(t.experience));
+        for (const job of visible(data.experience)) {
+            body.push(subheading(job.title));
+            body.push(paragraph(job.company, { bold: true, color: COLORS.accent }, { keepNext: true }));
+            if (job.period || job.location) {
+                const period = `${text(job.period)}${job.duration ? ` (${job.duration})` : ''}`;
+                const meta = [period, text(job.location)].filter(part => part).join(' — ');
+                body.push(paragraph(meta, { ...light, italics: true }, { keepNext: (job.responsibilities || []).length > 0 }));
+            }
+            for (const resp of job.responsibilities || []) {
+                body.push(bullet([new TextRun(text(resp))]));
+            }
+        }
+    }
+
+    if (visibility.education) {
+        body.push(heading(t.education));
+        for (const edu of visible(data.education)) {
+            body.push(subheading(edu.degree));
+            const runs = [new TextRun({ text: text(edu.institution), bold: true, color: COLORS.accent })];
+            if (edu.period) runs.push(new TextRun({ text: ` · ${edu.period}`, ...light }));
+            body.push(new Paragraph({ children: runs }));
+            if (edu.description) {
+                body.push(paragraph(edu.description, light));
+            }
+        }
+    }
+
+    if (visibility.teaching) {
+        body.push(heading(t.teaching));
+        for (const item of data.teaching || []) {
+            body.push(bullet([new TextRun(text(item))]));
+        }
+    }
+
+    if (visibility.publications && data.publications) {
+        body.push(heading(t.publications));
+        for (const category of data.publicationLists) {
+            const count = category.countTotal ? ` (${category.items.length}+ ${t.articles_total})` : '';
+            body.push(subheading(`${category.label}${count}`));
+            for (const pub of visible(category.items)) {
+                // Hanging indent like a reference list
+                body.push(new Paragraph({
+                    children: citationRuns(pub, category, data.citationStyle),
+                    indent: { left: 360, hanging: 360 }
+                }));
+            }
+        }
+    }
+
+    if (visibility.presentations && data.presentations) {
+        body.push(heading(t.presentations));
+        for (const pres of visible(data.presentations)) {
+            const where = [pres.event, pres.location].filter(part => part).join(', ');
+            const details = `${where}${pres.dateLabel ? ` (${pres.dateLabel})` : ''}.${pres.role ? ` ${pres.role}.` : ''}`;
+            body.push(bullet([
+                new TextRun({ text: text(pres.title), bold: true }),
+                new TextRun(` — ${details}`)
+            ]));
+        }
+    }
+
+    if (visibility.media_summary && data.media_summary) {
+        body.push(heading(t.media), paragraph(data.media_summary));
+    }
+
+    if (visibility.languages) {
+        body.push(heading(t.languages), paragraph(data.languages));
+    }
+    if (visibility.hobbies) {
+        body.push(heading(t.hobbies), paragraph(data.hobbies));
+    }
+
+    if (visibility.references) {
+        body.push(heading(t.references));
+        for (const ref of visible(data.references)) {
+            body.push(paragraph(ref.name, { bold: true }, { keepNext: true }));
+            body.push(paragraph(ref.title, light));
+        }
+        body.push(paragraph(t.references_note, { ...light, size: 18 }));
+    }
+    return body;
+}
+
+/**
+ * Name, credentials, contact details and photo at the top of the first page
+ */
+function buildHeader(data) {
+    const personal = data.personal || {};
+    const photo = photoRun(personal.photo, personal.name);
+    const contact = [personal.location, personal.phone, personal.email].filter(part => part).join('  ·  ');
+    return [
+        new Paragraph({
+            heading: HeadingLevel.TITLE,
+            children: [...(photo ? [photo] : []), new TextRun(text(personal.name))]
+        }),
+        paragraph(personal.credentials, { color: COLORS.accent, size: 24 }),
+        paragraph(contact, { color: COLORS.light }, {
+            spacing: { after: 240 },
+            border: { bottom: { style: BorderStyle.SINGLE, size: 12, color: COLORS.primary, space: 6 } }
+        })
+    ];
+}
+
+/**
+ * Word styles matching the classic template
+ */
+function documentStyles(lang) {
+    return {
+        default: {
+            document: {
+                run: { font: FONTS.body, size: 20, color: COLORS.text, language: { value: lang } },
+                paragraph: { spacing: { after: 40, line: 276 } }
+            },
+            title: {
+                run: { font: FONTS.display, size: 52, color: COLORS.primary },
+                paragraph: { spacing: { after: 0 } }
+            },
+            heading1: {
+                run: { font: FONTS.display, size: 28, bold: true, color: COLORS.primary },
+                paragraph: {
+                    spacing: { before: 280, after: 100 },
+                    keepNext: true,
+                    border: { bottom: { style: BorderStyle.SINGLE, size: 6, color: COLORS.border, space: 2 } }
+                }
+            },
+            heading2: {
+                run: { font: FONTS.body, size: 21, bold: true, color: COLORS.text },
+                paragraph: { spacing: { before: 140, after: 0 }, keepNext: true }
+            }
+        }
+    };
+}
+
+/**
+ * The CV in one language as a DOCX file
+ * Takes the options of prepareData; the 'mark' fallback policy is treated as
+ * 'fallback', as Word can't show the highlight.
+ * Returns a Promise of a Buffer
+ */
+async function renderDOCX(baseData, lang, baseDir, options = {}) {
+    const data = prepareData(baseData, lang, baseDir, { ...options, fallback: textFallback(options.fallback) });
+    const personal = data.personal || {};
+    const footerText = [data.t.cv_footer, [personal.name, personal.credentials].filter(part => part).join(', ')]
+        .filter(part => part).join(' — ');
+
+    const document = new Document({
+        title: `${data.t.cv_footer || 'Curriculum Vitae'} — ${text(personal.name)}`,
+        creator: text(personal.name),
+        description: text(data.t.cv_footer),
+        styles: documentStyles(lang),
+        sections: [{
+            properties: {
+                page: {
+                    // A4 with 2 cm margins
+                    size: { width: 11906, height: 16838 },
+                    margin: { top: 1134, right: 1134, bottom: 1134, left: 1134 }
+                }
+            },
+            footers: {
+                default: new Footer({
+                    children: [new Paragraph({
+                        alignment: AlignmentType.CENTER,
+                        children: [
+                            new TextRun({ text: `${footerText}  ·  `, size: 16, color: COLORS.light }),
+                            new TextRun({ children: [PageNumber.CURRENT], size: 16, color: COLORS.light })
+                        ]
+                    })]
+                })
+            },
+            children: [...buildHeader(data), ...buildBody(data)]
+        }]
+    });
+    return Packer.toBuffer(document);
+}
+
+module.exports = {
+    renderDOCX
+};
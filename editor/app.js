@@ -2,123 +2,124 @@
  * CV Editor Vue Application
  */
 
-const { createApp, ref, reactive, computed, watch, onMounted, nextTick } = Vue;
+const { createApp, ref, reactive, computed, watch, onMounted, nextTick, provide, inject } = Vue;
+
+// Shared language tab state for the localized components
+// The language list is provided by the app and follows the keys of data.translations
+const useActiveLanguage = () => {
+    const languages = inject('languages');
+    const activeLang = ref(languages.value[0]);
+
+    // Fall back to the first language if the active one is removed from the data
+    watch(languages, (codes) => {
+        if (!codes.includes(activeLang.value)) {
+            activeLang.value = codes[0];
+        }
+    });
+
+    return { languages, activeLang };
+};
 
-// Bilingual Input Component
-const BilingualInput = {
-    name: 'BilingualInput',
+// Localized Input Component
+// Edits a {<lang>: string} object with one tab per language from the data
+const LocalizedInput = {
+    name: 'LocalizedInput',
     props: {
-        en: String,
-        nl: String,
+        modelValue: Object,
         label: String,
         placeholder: String,
         size: { type: String, default: 'normal' }
     },
-    emits: ['update:en', 'update:nl'],
+    emits: ['update:modelValue'],
     template: `
         <div>
             <label v-if="label" class="block text-sm font-medium text-gray-700 mb-1">{{ label }}</label>
             <div class="flex border border-gray-300 rounded overflow-hidden focus-within:ring-2 focus-within:ring-primary">
-                <button type="button" @click="activeLang = 'en'"
-                        :class="['px-2 text-xs font-medium border-r transition-colors',
-                                 activeLang === 'en' ? 'bg-primary text-white' : 'bg-gray-100 text-gray-600 hover:bg-gray-200']">
-                    EN
-                </button>
-                <button type="button" @click="activeLang = 'nl'"
-                        :class="['px-2 text-xs font-medium border-r transition-colors',
-                                 activeLang === 'nl' ? 'bg-primary text-white' : 'bg-gray-100 text-gray-600 hover:bg-gray-200']">
-                    NL
+                <button v-for="code in languages" :key="code"
+                        type="button" @click="activeLang = code"
+                        :class="['px-2 text-xs font-medium border-r transition-colors uppercase',
+                                 activeLang === code ? 'bg-primary text-white' : 'bg-gray-100 text-gray-600 hover:bg-gray-200']">
+                    {{ code }}
                 </button>
-                <input v-if="activeLang === 'en'"
-                       :value="en"
-                       @input="$emit('update:en', $event.target.value)"
-                       :placeholder="placeholder"
-                       :class="['flex-1 px-3 border-none focus:ring-0', size === 'small' ? 'py-1 text-sm' : 'py-2']">
-                <input v-else
-                       :value="nl"
-                       @input="$emit('update:nl', $event.target.value)"
+                <input :value="(modelValue || {})[activeLang]"
+                       @input="update($event.target.value)"
                        :placeholder="placeholder"
+                       :lang="activeLang"
                        :class="['flex-1 px-3 border-none focus:ring-0', size === 'small' ? 'py-1 text-sm' : 'py-2']">
             </div>
         </div>
     `,
-    setup() {
-        const activeLang = ref('en');
-        return { activeLang };
+    setup(props, { emit }) {
+        const { languages, activeLang } = useActiveLanguage();
+
+        const update = (value) => {
+            emit('update:modelValue', { ...props.modelValue, [activeLang.value]: value });
+        };
+
+        return { languages, activeLang, update };
     }
 };
 
-// Bilingual Textarea Component
-const BilingualTextarea = {
-    name: 'BilingualTextarea',
+// Localized Textarea Component
+const LocalizedTextarea = {
+    name: 'LocalizedTextarea',
     props: {
-        en: String,
-        nl: String,
+        modelValue: Object,
         label: String,
         placeholder: String,
         rows: { type: Number, default: 3 }
     },
-    emits: ['update:en', 'update:nl'],
+    emits: ['update:modelValue'],
     template: `
         <div>
             <label v-if="label" class="block text-sm font-medium text-gray-700 mb-1">{{ label }}</label>
             <div class="border border-gray-300 rounded overflow-hidden focus-within:ring-2 focus-within:ring-primary">
                 <div class="flex bg-gray-100 border-b border-gray-300">
-                    <button type="button" @click="activeLang = 'en'"
-                            :class="['px-3 py-1 text-xs font-medium transition-colors',
-                                     activeLang === 'en' ? 'bg-primary text-white' : 'text-gray-600 hover:bg-gray-200']">
-                        EN
-                    </button>
-                    <button type="button" @click="activeLang = 'nl'"
-                            :class="['px-3 py-1 text-xs font-medium transition-colors',
-                                     activeLang === 'nl' ? 'bg-primary text-white' : 'text-gray-600 hover:bg-gray-200']">
-                        NL
+                    <button v-for="code in languages" :key="code"
+                            type="button" @click="activeLang = code"
+                            :class="['px-3 py-1 text-xs font-medium transition-colors uppercase',
+                                     activeLang === code ? 'bg-primary text-white' : 'text-gray-600 hover:bg-gray-200']">
+                        {{ code }}
                     </button>
                 </div>
-                <textarea v-if="activeLang === 'en'"
-                          :value="en"
-                          @input="$emit('update:en', $event.target.value)"
-                          :placeholder="placeholder"
-                          :rows="rows"
-                          class="w-full px-3 py-2 border-none focus:ring-0 resize-none text-sm"></textarea>
-                <textarea v-else
-                          :value="nl"
-                          @input="$emit('update:nl', $event.target.value)"
+                <textarea :value="(modelValue || {})[activeLang]"
+                          @input="update($event.target.value)"
                           :placeholder="placeholder"
                           :rows="rows"
+                          :lang="activeLang"
                           class="w-full px-3 py-2 border-none focus:ring-0 resize-none text-sm"></textarea>
             </div>
         </div>
     `,
-    setup() {
-        const activeLang = ref('en');
-        return { activeLang };
+    setup(props, { emit }) {
+        const { languages, activeLang } = useActiveLanguage();
+
+        const update = (value) => {
+            emit('update:modelValue', { ...props.modelValue, [activeLang.value]: value });
+        };
+
+        return { languages, activeLang, update };
     }
 };
 
-// Bilingual List Component (for arrays like responsibilities, teaching items)
-const BilingualList = {
-    name: 'BilingualList',
+// Localized List Component (for arrays like responsibilities, teaching items)
+const LocalizedList = {
+    name: 'LocalizedList',
     props: {
-        en: Array,
-        nl: Array,
+        modelValue: Object,
         label: String
     },
-    emits: ['update:en', 'update:nl'],
+    emits: ['update:modelValue'],
     template: `
         <div>
             <label v-if="label" class="block text-sm font-medium text-gray-700 mb-1">{{ label }}</label>
             <div class="border border-gray-300 rounded overflow-hidden">
                 <div class="flex bg-gray-100 border-b border-gray-300">
-                    <button type="button" @click="activeLang = 'en'"
-                            :class="['px-3 py-1 text-xs font-medium transition-colors',
-                                     activeLang === 'en' ? 'bg-primary text-white' : 'text-gray-600 hover:bg-gray-200']">
-                        EN
-                    </button>
-                    <button type="button" @click="activeLang = 'nl'"
-                            :class="['px-3 py-1 text-xs font-medium transition-colors',
-                                     activeLang === 'nl' ? 'bg-primary text-white' : 'text-gray-600 hover:bg-gray-200']">
-                        NL
+                    <button v-for="code in languages" :key="code"
+                            type="button" @click="activeLang = code"
+                            :class="['px-3 py-1 text-xs font-medium transition-colors uppercase',
+                                     activeLang === code ? 'bg-primary text-white' : 'text-gray-600 hover:bg-gray-200']">
+                        {{ code }}
                     </button>
                     <button type="button" @click="addItem"
                             class="ml-auto px-2 py-1 text-xs text-green-600 hover:bg-green-50">
@@ -132,6 +133,7 @@ const BilingualList = {
                         <textarea v-model="currentList[index]"
                                   @input="updateList"
                                   rows="2"
+                                  :lang="activeLang"
                                   class="flex-1 px-2 py-1 border border-gray-200 rounded text-sm resize-none focus:ring-1 focus:ring-primary"></textarea>
                         <button type="button" @click="removeItem(index)"
                                 class="text-gray-400 hover:text-red-600 mt-1">
@@ -147,48 +149,121 @@ const BilingualList = {
         </div>
     `,
     setup(props, { emit }) {
-        const activeLang = ref('en');
+        const { languages, activeLang } = useActiveLanguage();
+
+        const emitList = (list) => {
+            emit('update:modelValue', { ...props.modelValue, [activeLang.value]: list });
+        };
 
         const currentList = computed({
             get() {
-                return activeLang.value === 'en' ? (props.en || []) : (props.nl || []);
+                return (props.modelValue || {})[activeLang.value] || [];
             },
             set(value) {
-                if (activeLang.value === 'en') {
-                    emit('update:en', value);
-                } else {
-                    emit('update:nl', value);
-                }
+                emitList(value);
             }
         });
 
         const updateList = () => {
-            if (activeLang.value === 'en') {
-                emit('update:en', [...currentList.value]);
-            } else {
-                emit('update:nl', [...currentList.value]);
-            }
+            emitList([...currentList.value]);
         };
 
         const addItem = () => {
-            const newList = [...currentList.value, ''];
-            if (activeLang.value === 'en') {
-                emit('update:en', newList);
-            } else {
-                emit('update:nl', newList);
-            }
+            emitList([...currentList.value, '']);
         };
 
         const removeItem = (index) => {
-            const newList = currentList.value.filter((_, i) => i !== index);
-            if (activeLang.value === 'en') {
-                emit('update:en', newList);
-            } else {
-                emit('update:nl', newList);
-            }
+            emitList(currentList.value.filter((_, i) => i !== index));
         };
 
-        return { activeLang, currentList, updateList, addItem, removeItem };
+        return { languages, activeLang, currentList, updateList, addItem, removeItem };
+    }
+};
+
+// Page Settings Component
+// Edits a pageSettings object (see page_settings.js); unset values show the `base` settings
+const PageSettingsForm = {
+    name: 'PageSettingsForm',
+    props: {
+        modelValue: Object,
+        base: Object,
+        formats: Array
+    },
+    emits: ['update:modelValue'],
+    template: `
+        <div class="space-y-3 text-sm">
+            <div class="grid grid-cols-2 gap-3">
+                <label class="block">
+                    <span class="block font-medium text-gray-700 mb-1">Paper</span>
+                    <select :value="value('format')" @change="update('format', $event.target.value)"
+                            class="w-full px-2 py-1 border border-gray-300 rounded">
+                        <option v-for="format in formats" :key="format" :value="format">{{ format }}</option>
+                    </select>
+                </label>
+                <label class="block">
+                    <span class="block font-medium text-gray-700 mb-1">Scale</span>
+                    <input type="number" min="0.5" max="1.5" step="0.05" :value="value('scale')"
+                           @change="updateNumber('scale', $event.target.value, 0.5, 1.5)"
+                           class="w-full px-2 py-1 border border-gray-300 rounded">
+                </label>
+            </div>
+            <div>
+                <span class="block font-medium text-gray-700 mb-1">Margins (mm)</span>
+                <div class="grid grid-cols-4 gap-2">
+                    <label v-for="side in ['top', 'right', 'bottom', 'left']" :key="side" class="block">
+                        <span class="block text-xs text-gray-500 capitalize">{{ side }}</span>
+                        <input type="number" min="0" max="50" :value="margin(side)"
+                               @change="updateMargin(side, $event.target.value)"
+                               class="w-full px-2 py-1 border border-gray-300 rounded">
+                    </label>
+                </div>
+            </div>
+            <div class="grid grid-cols-2 gap-2">
+                <label class="flex items-center gap-2">
+                    <input type="checkbox" :checked="value('header')" @change="update('header', $event.target.checked)" class="w-4 h-4">
+                    Header (name and title)
+                </label>
+                <label class="flex items-center gap-2">
+                    <input type="checkbox" :checked="value('footer')" @change="update('footer', $event.target.checked)" class="w-4 h-4">
+                    Footer (name and page numbers)
+                </label>
+                <label class="flex items-center gap-2">
+                    <input type="checkbox" :checked="value('keepTogether')" @change="update('keepTogether', $event.target.checked)" class="w-4 h-4">
+                    Keep entries on one page
+                </label>
+                <label class="flex items-center gap-2">
+                    Fit to
+                    <input type="number" min="1" :value="value('fitToPages')" placeholder="any"
+                           @change="update('fitToPages', $event.target.value ? Number($event.target.value) : null)"
+                           class="w-16 px-2 py-1 border border-gray-300 rounded">
+                    pages
+                </label>
+            </div>
+        </div>
+    `,
+    setup(props, { emit }) {
+        const value = (key) => (props.modelValue || {})[key] ?? (props.base || {})[key];
+        const margin = (side) => (props.modelValue?.margins || {})[side] ?? (props.base?.margins || {})[side];
+
+        // A number input's text as a number within min..max; undefined when it was cleared
+        const toNumber = (text, min, max) => text === '' ? undefined : Math.min(max, Math.max(min, Number(text)));
+        // Drop a key, so the value falls back to the base settings
+        const without = (object, key) => Object.fromEntries(Object.entries(object || {}).filter(([k]) => k !== key));
+
+        const update = (key, newValue) => {
+            emit('update:modelValue', { ...props.modelValue, [key]: newValue });
+        };
+        const updateNumber = (key, text, min, max) => {
+            const number = toNumber(text, min, max);
+            emit('update:modelValue', number === undefined ? without(props.modelValue, key) : { ...props.modelValue, [key]: number });
+        };
+        const updateMargin = (side, text) => {
+            const mm = toNumber(text, 0, 50);
+            const margins = mm === undefined ? without(props.modelValue?.margins, side) : { ...props.modelValue?.margins, [side]: mm };
+            emit('update:modelValue', { ...props.modelValue, margins });
+        };
+
+        return { value, margin, update, updateNumber, updateMargin };
     }
 };
 
@@ -197,9 +272,10 @@ console.log('app.js loaded, Vue available:', typeof Vue !== 'undefined');
 // Main App
 const app = createApp({
     components: {
-        'bilingual-input': BilingualInput,
-        'bilingual-textarea': BilingualTextarea,
-        'bilingual-list': BilingualList
+        'localized-input': LocalizedInput,
+        'localized-textarea': LocalizedTextarea,
+        'localized-list': LocalizedList,
+        'page-settings-form': PageSettingsForm
     },
     setup() {
         // State
@@ -207,10 +283,55 @@ const app = createApp({
         const error = ref(null);
         const saving = ref(false);
         const generatingPDF = ref(false);
+        const generatingDOCX = ref(false);
         const hasUnsavedChanges = ref(false);
         const previewLang = ref('en');
         const previewScale = ref(0.6);
+        const templates = ref([]);
+        const selectedTemplate = ref(null);
+        const selectedProfile = ref('');
+        const citationStyles = ref([]);
+        // Used when the data defines no publicationCategories
+        const defaultPublicationCategories = ref([]);
+        const pageFormats = ref(['A4', 'Letter']);
+        // Used for what data.pageSettings doesn't set
+        const defaultPageSettings = ref({});
+        // Empty: the selected profile's style, else the default
+        const selectedCitationStyle = ref('');
         const toasts = ref([]);
+        const saveMessage = ref('');
+        const dataEtag = ref(null);
+        const conflict = reactive({
+            open: false,
+            baseFound: true,
+            etag: null,
+            merged: null,
+            conflicts: []
+        });
+        const history = reactive({
+            open: false,
+            limit: null,
+            revisions: [],
+            from: null,
+            to: 'current',
+            changes: [],
+            loadingDiff: false
+        });
+        const europass = reactive({
+            open: false,
+            lang: 'en',
+            format: 'xml',
+            loading: false,
+            warnings: []
+        });
+        const bibImport = reactive({
+            open: false,
+            text: '',
+            format: '',
+            loading: false,
+            entries: [],
+            skipped: []
+        });
 
         const data = reactive({
             personal: { name: '', credentials: '', location: '', phone: '', email: '', photo: '' },
@@ -219,7 +340,7 @@ const app = createApp({
             experience: [],
             education: [],
             teaching: { en: [], nl: [] },
-            publications: { books: [], book_chapters: [], articles: [], reports: [] },
+            publications: {},
             presentations: [],
             media_summary: { en: '', nl: '' },
             languages: { en: '', nl: '' },
@@ -239,6 +360,14 @@ const app = createApp({
             }
         });
 
+        // Languages follow the keys of data.translations; the first is the default
+        const languages = computed(() => {
+            const codes = Object.keys(data.translations || {});
+            return codes.length > 0 ? codes : ['en'];
+        });
+        const primaryLang = computed(() => languages.value[0]);
+        provide('languages', languages);
+
         const expanded = reactive({
             exp: {},
             edu: {}
@@ -268,77 +397,98 @@ const app = createApp({
             }, 3000);
         };
 
+        // Put loaded (or merged) data into the editor, filling in what the forms expect
+        const applyData = (json) => {
+            // Merge with defaults
+            Object.assign(data, json);
+
+            // Drop a profile selection that no longer exists in the data
+            if (selectedProfile.value && !data.profiles?.[selectedProfile.value]) {
+                selectedProfile.value = '';
+            }
+
+            // Keep the preview on a language that exists in the data
+            if (!languages.value.includes(previewLang.value)) {
+                previewLang.value = primaryLang.value;
+            }
+
+            // Ensure sectionVisibility exists
+            if (!data.sectionVisibility) {
+                data.sectionVisibility = {
+                    profile: true,
+                    experience: true,
+                    education: true,
+                    teaching: true,
+                    publications: true,
+                    media_summary: true,
+                    languages: true,
+                    hobbies: true,
+                    references: true
+                };
+            }
+
+            // Ensure localized objects have every language
+            data.profile = ensureLocalized(data.profile);
+            data.media_summary = ensureLocalized(data.media_summary);
+            data.languages = ensureLocalized(data.languages);
+            data.hobbies = ensureLocalized(data.hobbies);
+            data.teaching = ensureLocalized(data.teaching, true);
+
+            // Ensure experience items have localized fields
+            data.experience.forEach(job => {
+                job.title = ensureLocalized(job.title);
+                job.company = ensureLocalized(job.company);
+                job.location = ensureLocalized(job.location);
+                // Free-text period of entries from before structured dates
+                if (job.period) job.period = ensureLocalized(job.period);
+                job.responsibilities = ensureLocalized(job.responsibilities, true);
+            });
+
+            // Ensure education items have localized fields
+            data.education.forEach(edu => {
+                edu.degree = ensureLocalized(edu.degree);
+                edu.institution = ensureLocalized(edu.institution);
+                edu.description = ensureLocalized(edu.description);
+            });
+
+            // Ensure references have localized titles
+            data.references.forEach(ref => {
+                ref.title = ensureLocalized(ref.title);
+            });
+
+            // Ensure presentations have localized fields
+            if (data.presentations) {
+                data.presentations.forEach(pres => {
+                    pres.title = ensureLocalized(pres.title);
+                    pres.role = ensureLocalized(pres.role);
+                });
+            } else {
+                data.presentations = [];
+            }
+
+            // Prepare authors strings for display
+            prepareAuthorsStrings();
+        };
+
         // Load data
         const loadData = async () => {
             loading.value = true;
             error.value = null;
             try {
                 console.log('Fetching data from /api/data...');
-                const response = await fetch('/api/data');
+                const response = await fetch('/api/data', { cache: 'no-store' });
                 console.log('Response status:', response.status);
                 if (!response.ok) throw new Error(`Failed to load data: ${response.status} ${response.statusText}`);
                 const json = await response.json();
                 console.log('Data loaded successfully:', Object.keys(json));
 
-                // Merge with defaults
-                Object.assign(data, json);
-
-                // Ensure sectionVisibility exists
-                if (!data.sectionVisibility) {
-                    data.sectionVisibility = {
-                        profile: true,
-                        experience: true,
-                        education: true,
-                        teaching: true,
-                        publications: true,
-                        media_summary: true,
-                        languages: true,
-                        hobbies: true,
-                        references: true
-                    };
-                }
-
-                // Ensure bilingual objects have both languages
-                data.profile = ensureBilingual(data.profile);
-                data.media_summary = ensureBilingual(data.media_summary);
-                data.languages = ensureBilingual(data.languages);
-                data.hobbies = ensureBilingual(data.hobbies);
-                data.teaching = ensureBilingual(data.teaching, true);
-
-                // Ensure experience items have bilingual fields
-                data.experience.forEach(job => {
-                    job.title = ensureBilingual(job.title);
-                    job.company = ensureBilingual(job.company);
-                    job.location = ensureBilingual(job.location);
-                    job.period = ensureBilingual(job.period);
-                    job.responsibilities = ensureBilingual(job.responsibilities, true);
-                });
-
-                // Ensure education items have bilingual fields
-                data.education.forEach(edu => {
-                    edu.degree = ensureBilingual(edu.degree);
-                    edu.institution = ensureBilingual(edu.institution);
-                    edu.description = ensureBilingual(edu.description);
-                });
-
-                // Ensure references have bilingual titles
-                data.references.forEach(ref => {
-                    ref.title = ensureBilingual(ref.title);
-                });
-
-                // Ensure presentations have bilingual fields
-                if (data.presentations) {
-                    data.presentations.forEach(pres => {
-                        pres.title = ensureBilingual(pres.title);
-                        pres.role = ensureBilingual(pres.role);
-                    });
-                } else {
-                    data.presentations = [];
+                applyData(json);
+                dataEtag.value = response.headers.get('ETag');
+                // Served by the service worker when the server can't be reached
+                if (response.headers.get('X-Offline')) {
+                    showToast('Offline: showing the last loaded data, changes can\'t be saved', 'warning');
                 }
 
-                // Prepare authors strings for display
-                prepareAuthorsStrings();
-
                 hasUnsavedChanges.value = false;
                 await nextTick();
                 initSortable();
@@ -351,21 +501,288 @@ const app = createApp({
             }
         };
 
-        // Ensure bilingual object has both en and nl
-        // Returns a proper bilingual object, creating one if input is null/undefined
-        const ensureBilingual = (obj, isArray = false) => {
+        // Create a localized object with an empty value for every language
+        // Known defaults (e.g. { en: 'Speaker' }) are used for the languages they cover
+        const emptyLocalized = (isArray = false, defaults = {}) => {
+            const obj = {};
+            languages.value.forEach(code => {
+                obj[code] = defaults[code] !== undefined ? defaults[code] : (isArray ? [] : '');
+            });
+            return obj;
+        };
+
+        // Load available CV templates
+        const loadTemplates = async () => {
+            try {
+                const response = await fetch('/api/templates');
+                if (!response.ok) throw new Error(`Failed to load templates: ${response.status}`);
+                const json = await response.json();
+                templates.value = json.templates;
+                if (!selectedTemplate.value) {
+                    selectedTemplate.value = json.default;
+                }
+            } catch (err) {
+                console.error('Error loading templates:', err);
+            }
+        };
+
+        // Load the citation styles for the publication lists
+        const loadCitationStyles = async () => {
+            try {
+                const response = await fetch('/api/citation-styles');
+                if (!response.ok) throw new Error(`Failed to load citation styles: ${response.status}`);
+                citationStyles.value = (await response.json()).styles;
+            } catch (err) {
+                console.error('Error loading citation styles:', err);
+            }
+        };
+
+        // Load the default publication categories
+        const loadPublicationCategories = async () => {
+            try {
+                const response = await fetch('/api/publication-categories');
+                if (!response.ok) throw new Error(`Failed to load publication categories: ${response.status}`);
+                defaultPublicationCategories.value = (await response.json()).defaults;
+            } catch (err) {
+                console.error('Error loading publication categories:', err);
+            }
+        };
+
+        // Load the page formats and default page settings
+        const loadPageSettings = async () => {
+            try {
+                const response = await fetch('/api/page-settings');
+                if (!response.ok) throw new Error(`Failed to load page settings: ${response.status}`);
+                const result = await response.json();
+                pageFormats.value = result.formats;
+                defaultPageSettings.value = result.defaults;
+            } catch (err) {
+                console.error('Error loading page settings:', err);
+            }
+        };
+
+        // Page settings of the base CV, which a profile's page settings override
+        const basePageSettings = computed(() => ({
+            ...defaultPageSettings.value,
+            ...data.pageSettings,
+            margins: { ...defaultPageSettings.value.margins, ...data.pageSettings?.margins }
+        }));
+
+        // Publication categories in display order, as in publication_categories.js
+        const publicationCategories = computed(() => {
+            const defined = data.publicationCategories?.length > 0
+                ? data.publicationCategories
+                : defaultPublicationCategories.value;
+            const categories = [...defined];
+            Object.keys(data.publications || {}).forEach(id => {
+                if (!categories.some(category => category.id === id)) {
+                    categories.push({ id, kind: 'report', fields: ['title', 'authors', 'year', 'publisher', 'url'] });
+                }
+            });
+            return categories;
+        });
+
+        const publicationCategoryLabel = (category) => {
+            return data.translations?.[primaryLang.value]?.[category.id] || formatSectionName(category.id);
+        };
+
+        // Label of a publication field; "publication" depends on the kind of category
+        const publicationFieldLabel = (category, field) => {
+            if (field === 'publication') {
+                return { article: 'Journal', chapter: 'Book Title' }[category.kind] || 'Published in';
+            }
+            return {
+                title: 'Title',
+                authors: 'Authors (comma-separated)',
+                editors: 'Editors (comma-separated)',
+                year: 'Year',
+                issue: 'Issue',
+                pages: 'Pages',
+                publisher: 'Publisher',
+                place: 'Place',
+                url: 'URL',
+                doi: 'DOI'
+            }[field] || formatSectionName(field);
+        };
+
+        // Description of the selected template, shown as a tooltip
+        const selectedTemplateInfo = computed(() => {
+            return templates.value.find(t => t.id === selectedTemplate.value) || null;
+        });
+
+        // Tailored profiles: named variants stored under data.profiles
+        const profiles = computed(() => {
+            return Object.entries(data.profiles || {}).map(([id, profile]) => ({
+                id,
+                label: profile.label || id
+            }));
+        });
+
+        const activeProfile = computed(() => {
+            return (selectedProfile.value && data.profiles?.[selectedProfile.value]) || null;
+        });
+
+        // Lists whose entries a profile can select, keyed like cv_profiles.js
+        const profileLists = computed(() => {
+            const lists = [
+                { key: 'experience', label: 'Experience', items: data.experience },
+                { key: 'education', label: 'Education', items: data.education },
+                { key: 'presentations', label: 'Presentations', items: data.presentations },
+                { key: 'references', label: 'References', items: data.references }
+            ];
+            publicationCategories.value.forEach(category => {
+                lists.push({
+                    key: `publications.${category.id}`,
+                    label: `Publications: ${publicationCategoryLabel(category)}`,
+                    items: data.publications?.[category.id]
+                });
+            });
+            return lists.filter(list => Array.isArray(list.items));
+        });
+
+        // Short label for an entry in the profile's entry picker
+        const itemLabel = (item) => {
+            const text = item.title || item.degree || item.name || '';
+            if (typeof text === 'object') {
+                return text[primaryLang.value] || Object.values(text).find(v => v) || '(untitled)';
+            }
+            return text || '(untitled)';
+        };
+
+
+        const addProfile = () => {
+            const label = prompt('Name of the new profile (e.g. "Academic")');
+            if (!label || !label.trim()) return;
+            const id = label.trim().toLowerCase().replace(/[^a-z0-9]+/g, '-').replace(/^-+|-+$/g, '');
+            if (!id) {
+                showToast('Profile name needs at least one letter or digit', 'error');
+                return;
+            }
+            if (data.profiles?.[id]) {
+                showToast(`Profile '${id}' already exists`, 'error');
+                return;
+            }
+            if (!data.profiles) data.profiles = {};
+            data.profiles[id] = {
+                label: label.trim(),
+                sectionVisibility: {},
+                items: {},
+                profile: emptyLocalized()
+            };
+            selectedProfile.value = id;
+        };
+
+        const removeProfile = () => {
+            if (!confirm(`Are you sure you want to delete the profile '${activeProfile.value.label}'?`)) return;
+            delete data.profiles[selectedProfile.value];
+            if (Object.keys(data.profiles).length === 0) {
+                delete data.profiles;
+            }
+            selectedProfile.value = '';
+        };
+
+        // Section override: '' follows the base CV, otherwise 'show' or 'hide'
+        const profileVisibility = (section) => {
+            const value = activeProfile.value.sectionVisibility?.[section];
+            if (value === undefined) return '';
+            return value ? 'show' : 'hide';
+        };
+
+        const setProfileVisibility = (section, value) => {
+            const profile = activeProfile.value;
+            if (!profile.sectionVisibility) profile.sectionVisibility = {};
+            if (value === '') {
+                delete profile.sectionVisibility[section];
+            } else {
+                profile.sectionVisibility[section] = value === 'show';
+            }
+        };
+
+        const setProfileCitationStyle = (value) => {
+            if (value === '') {
+                delete activeProfile.value.citationStyle;
+            } else {
+                activeProfile.value.citationStyle = value;
+            }
+        };
+
+        // A profile with its own page settings starts from the base ones
+        const toggleProfilePageSettings = (enabled) => {
+            if (enabled) {
+                activeProfile.value.pageSettings = {};
+            } else {
+                delete activeProfile.value.pageSettings;
+            }
+        };
+
+        // Start a selection from the entries currently visible in the base CV
+        const toggleProfileList = (list, enabled) => {
+            const profile = activeProfile.value;
+            if (!profile.items) profile.items = {};
+            if (enabled) {
+                profile.items[list.key] = list.items
+                    .filter(item => item.visible !== false)
+                    .map(item => item.id);
+            } else {
+                delete profile.items[list.key];
+            }
+        };
+
+        // Selected entries in profile order, followed by the rest in base order
+        const profileEntries = (list) => {
+            const ids = activeProfile.value.items[list.key];
+            const entries = list.items.map(item => ({ item, included: ids.includes(item.id) }));
+            const included = ids
+                .map(id => entries.find(entry => entry.item.id === id))
+                .filter(entry => entry);
+            return [...included, ...entries.filter(entry => !entry.included)];
+        };
+
+        const toggleProfileItem = (list, item, included) => {
+            const ids = activeProfile.value.items[list.key];
+            if (included && !ids.includes(item.id)) {
+                ids.push(item.id);
+            } else if (!included) {
+                activeProfile.value.items[list.key] = ids.filter(id => id !== item.id);
+            }
+        };
+
+        const moveProfileItem = (list, item, direction) => {
+            const ids = activeProfile.value.items[list.key];
+            const from = ids.indexOf(item.id);
+            const to = from + direction;
+            if (from < 0 || to < 0 || to >= ids.length) return;
+            ids.splice(to, 0, ids.splice(from, 1)[0]);
+        };
+
+        // Ensure localized object has every language
+        // Returns a proper localized object, creating one if input is null/undefined
+        const ensureLocalized = (obj, isArray = false) => {
             if (!obj || typeof obj !== 'object') {
-                return isArray ? { en: [], nl: [] } : { en: '', nl: '' };
+                return emptyLocalized(isArray);
             }
-            if (obj.en === undefined) obj.en = isArray ? [] : '';
-            if (obj.nl === undefined) obj.nl = isArray ? [] : '';
+            languages.value.forEach(code => {
+                if (obj[code] === undefined) obj[code] = isArray ? [] : '';
+            });
             return obj;
         };
 
+        // Copy of the data for the server, without the editing helpers (authorsStr, editorsStr)
+        const cleanCopy = () => {
+            const copy = JSON.parse(JSON.stringify(data));
+            Object.values(copy.publications || {}).forEach(items => {
+                (items || []).forEach(pub => {
+                    delete pub.authorsStr;
+                    delete pub.editorsStr;
+                });
+            });
+            return copy;
+        };
+
         // Prepare authors strings for editing
         const prepareAuthorsStrings = () => {
-            ['books', 'book_chapters', 'articles', 'reports'].forEach(type => {
-                if (data.publications[type]) {
+            Object.keys(data.publications || {}).forEach(type => {
+                if (Array.isArray(data.publications[type])) {
                     data.publications[type].forEach(pub => {
                         if (Array.isArray(pub.authors)) {
                             pub.authorsStr = pub.authors.join(', ');
@@ -393,27 +810,71 @@ const app = createApp({
         };
 
         // Save data
+        // The live entries of every list (as in item_ids.js) with the id they are sent with
+        const sentEntries = () => {
+            const lists = [
+                ...['experience', 'education', 'presentations', 'references'].map(key => [key, data[key]]),
+                ...Object.entries(data.publications || {}).map(([category, items]) => [`publications.${category}`, items])
+            ];
+            return Object.fromEntries(lists
+                .filter(([, items]) => Array.isArray(items))
+                .map(([key, items]) => [key, items.map(item => ({ item, id: item?.id || '' }))]));
+        };
+
+        // Take over the ids the server gave to entries on save (ids: list key -> ids in the order sent)
+        // Entries are found by identity, so entries added or moved during the save keep their own;
+        // only entries that still have the id they were sent with are updated
+        const applyAssignedIds = (sent, ids) => {
+            for (const [key, listIds] of Object.entries(ids)) {
+                listIds.forEach((id, index) => {
+                    const entry = (sent[key] || [])[index];
+                    if (entry && entry.item && (entry.item.id || '') === entry.id) {
+                        entry.item.id = id;
+                    }
+                });
+            }
+        };
+
         const saveData = async () => {
             saving.value = true;
             try {
-                // Clean up authors strings before saving
-                const cleanData = JSON.parse(JSON.stringify(data));
-                ['books', 'book_chapters', 'articles', 'reports'].forEach(type => {
-                    if (cleanData.publications[type]) {
-                        cleanData.publications[type].forEach(pub => {
-                            delete pub.authorsStr;
-                            delete pub.editorsStr;
-                        });
-                    }
-                });
+                const cleanData = cleanCopy();
+                const sent = sentEntries();
 
-                const response = await fetch('/api/data', {
+                const query = saveMessage.value.trim() ? `?message=${encodeURIComponent(saveMessage.value.trim())}` : '';
+                const response = await fetch(`/api/data${query}`, {
                     method: 'POST',
-                    headers: { 'Content-Type': 'application/json' },
+                    headers: { 'Content-Type': 'application/json', 'If-Match': dataEtag.value || '' },
                     body: JSON.stringify(cleanData)
                 });
-                if (!response.ok) throw new Error('Failed to save data');
+                if (response.status === 409) {
+                    // Saved in another session meanwhile: let the user resolve the conflicting fields
+                    const result = await response.json();
+                    conflict.baseFound = result.baseFound;
+                    conflict.etag = result.etag;
+                    conflict.merged = result.merged;
+                    conflict.conflicts = result.conflicts.map(c => ({ ...c, choice: 'mine' }));
+                    conflict.open = true;
+                    return;
+                }
+                if (!response.ok) {
+                    const result = await response.json().catch(() => ({}));
+                    if (result.details) {
+                        console.error('Validation errors:', result.details);
+                        const paths = result.details.map(d => `${d.path} (${d.message})`);
+                        throw new Error(`${result.error}: ${paths.join(', ')}`);
+                    }
+                    throw new Error(result.error || 'Failed to save data');
+                }
+                const result = await response.json();
+                if (result.assignedIds > 0) {
+                    applyAssignedIds(sent, result.ids || {});
+                    // Let the data watcher see the new ids before the changes count as saved
+                    await nextTick();
+                }
+                dataEtag.value = result.etag;
                 hasUnsavedChanges.value = false;
+                saveMessage.value = '';
                 showToast('Data saved successfully');
             } catch (err) {
                 showToast('Failed to save: ' + err.message, 'error');
@@ -422,26 +883,136 @@ const app = createApp({
             }
         };
 
+        // Set a value at a diff path; list segments are entry ids (or indexes)
+        // Undefined removes the field or entry
+        const setAtPath = (target, fieldPath, value) => {
+            const segments = fieldPath.split('/').slice(1);
+            const last = segments.pop();
+            const findIndex = (list, segment) => {
+                const index = list.findIndex(item => item && item.id === segment);
+                return index >= 0 ? index : (/^\d+$/.test(segment) && Number(segment) < list.length ? Number(segment) : -1);
+            };
+            let parent = target;
+            for (const segment of segments) {
+                parent = Array.isArray(parent) ? parent[findIndex(parent, segment)] : parent[segment];
+                if (parent === undefined) return;
+            }
+            if (Array.isArray(parent)) {
+                const index = findIndex(parent, last);
+                if (value === undefined) {
+                    if (index >= 0) parent.splice(index, 1);
+                } else if (index >= 0) {
+                    parent[index] = value;
+                } else {
+                    parent.push(value);
+                }
+            } else if (value === undefined) {
+                delete parent[last];
+            } else {
+                parent[last] = value;
+            }
+        };
+
+        // Apply the chosen side of every conflict to the merge and save it
+        const resolveConflict = async () => {
+            const resolved = JSON.parse(JSON.stringify(conflict.merged));
+            conflict.conflicts
+                .filter(c => c.choice === 'theirs')
+                .forEach(c => setAtPath(resolved, c.path, c.theirs));
+
+            conflict.open = false;
+            applyData(resolved);
+            dataEtag.value = conflict.etag;
+            await saveData();
+        };
+
+        // Give up the local changes and load the other session's version
+        const discardLocalChanges = async () => {
+            if (!confirm('Discard your unsaved changes and load the saved version?')) return;
+            conflict.open = false;
+            await loadData();
+        };
+
+        // History: list revisions, compare two of them and restore one
+        const openHistory = async () => {
+            history.open = true;
+            history.from = null;
+            history.changes = [];
+            try {
+                const response = await fetch('/api/history');
+                if (!response.ok) throw new Error(`Failed to load history: ${response.status}`);
+                const json = await response.json();
+                history.limit = json.limit;
+                history.revisions = json.revisions;
+            } catch (err) {
+                showToast(err.message, 'error');
+            }
+        };
+
+        const selectRevision = (id) => {
+            history.from = id;
+            history.to = 'current';
+            loadDiff();
+        };
+
+        const loadDiff = async () => {
+            history.loadingDiff = true;
+            try {
+                const params = new URLSearchParams({ from: history.from, to: history.to });
+                const response = await fetch(`/api/history/diff?${params}`);
+                if (!response.ok) throw new Error(`Failed to compare revisions: ${response.status}`);
+                history.changes = (await response.json()).changes;
+            } catch (err) {
+                history.changes = [];
+                showToast(err.message, 'error');
+            } finally {
+                history.loadingDiff = false;
+            }
+        };
+
+        const restoreRevision = async (id) => {
+            const revision = history.revisions.find(r => r.id === id);
+            const warning = hasUnsavedChanges.value ? '\n\nYour unsaved changes will be lost.' : '';
+            if (!confirm(`Restore the version of ${formatDateTime(revision.savedAt)}?${warning}`)) return;
+            try {
+                const response = await fetch(`/api/history/${id}/restore`, { method: 'POST' });
+                const result = await response.json().catch(() => ({}));
+                if (!response.ok) throw new Error(result.error || 'Restore failed');
+                history.open = false;
+                await loadData();
+                showToast('Version restored');
+            } catch (err) {
+                showToast('Failed to restore: ' + err.message, 'error');
+            }
+        };
+
+        const formatDateTime = (iso) => new Date(iso).toLocaleString();
+
+        // Short text for a value in the diff list
+        const formatDiffValue = (value) => {
+            if (value === undefined) return '(removed)';
+            if (value === null) return '(empty)';
+            const text = typeof value === 'string' ? value : JSON.stringify(value);
+            return text.length > 200 ? `${text.slice(0, 200)}...` : text;
+        };
+
         // Refresh preview
         const refreshPreview = async () => {
             if (!previewFrame.value) return;
 
             try {
-                // Clean data for preview
-                const cleanData = JSON.parse(JSON.stringify(data));
-                ['books', 'book_chapters', 'articles', 'reports'].forEach(type => {
-                    if (cleanData.publications[type]) {
-                        cleanData.publications[type].forEach(pub => {
-                            delete pub.authorsStr;
-                            delete pub.editorsStr;
-                        });
-                    }
-                });
+                const cleanData = cleanCopy();
 
                 const response = await fetch('/api/preview', {
                     method: 'POST',
                     headers: { 'Content-Type': 'application/json' },
-                    body: JSON.stringify({ data: cleanData, lang: previewLang.value })
+                    body: JSON.stringify({
+                        data: cleanData,
+                        lang: previewLang.value,
+                        template: selectedTemplate.value,
+                        profile: selectedProfile.value || undefined,
+                        citationStyle: selectedCitationStyle.value || undefined
+                    })
                 });
 
                 if (!response.ok) throw new Error('Preview failed');
@@ -460,22 +1031,19 @@ const app = createApp({
         const generatePDF = async (lang) => {
             generatingPDF.value = true;
             try {
-                // Clean data
-                const cleanData = JSON.parse(JSON.stringify(data));
-                ['books', 'book_chapters', 'articles', 'reports'].forEach(type => {
-                    if (cleanData.publications[type]) {
-                        cleanData.publications[type].forEach(pub => {
-                            delete pub.authorsStr;
-                            delete pub.editorsStr;
-                        });
-                    }
-                });
+                const cleanData = cleanCopy();
 
                 console.log('Requesting PDF generation for:', lang);
                 const response = await fetch('/api/generate-pdf', {
                     method: 'POST',
                     headers: { 'Content-Type': 'application/json' },
-                    body: JSON.stringify({ data: cleanData, lang })
+                    body: JSON.stringify({
+                        data: cleanData,
+                        lang,
+                        template: selectedTemplate.value,
+                        profile: selectedProfile.value || undefined,
+                        citationStyle: selectedCitationStyle.value || undefined
+                    })
                 });
 
                 console.log('Response status:', response.status, 'Content-Type:', response.headers.get('Content-Type'));
@@ -491,13 +1059,17 @@ const app = createApp({
                 const url = URL.createObjectURL(blob);
                 const a = document.createElement('a');
                 a.href = url;
-                a.download = `cv_${data.personal.name.toLowerCase().replace(/\s+/g, '_')}_${lang}.pdf`;
+                const suffix = selectedProfile.value ? `_${selectedProfile.value}` : '';
+                a.download = `cv_${data.personal.name.toLowerCase().replace(/\s+/g, '_')}${suffix}_${lang}.pdf`;
                 document.body.appendChild(a);
                 a.click();
                 document.body.removeChild(a);
                 URL.revokeObjectURL(url);
 
-                showToast(`PDF (${lang.toUpperCase()}) generated successfully`);
+                const pages = response.headers.get('X-PDF-Pages');
+                const warnings = JSON.parse(decodeURIComponent(response.headers.get('X-PDF-Warnings') || '%5B%5D'));
+                showToast(`PDF (${lang.toUpperCase()}) generated successfully${pages ? ` (${pages} pages)` : ''}`);
+                warnings.forEach(warning => showToast(warning, 'warning'));
             } catch (err) {
                 showToast('Failed to generate PDF: ' + err.message, 'error');
             } finally {
@@ -505,6 +1077,44 @@ const app = createApp({
             }
         };
 
+        // Generate a Word document (layout of the classic template)
+        const generateDOCX = async (lang) => {
+            generatingDOCX.value = true;
+            try {
+                const response = await fetch('/api/generate-docx', {
+                    method: 'POST',
+                    headers: { 'Content-Type': 'application/json' },
+                    body: JSON.stringify({
+                        data: cleanCopy(),
+                        lang,
+                        profile: selectedProfile.value || undefined,
+                        citationStyle: selectedCitationStyle.value || undefined
+                    })
+                });
+                if (!response.ok) {
+                    const result = await response.json().catch(() => ({}));
+                    throw new Error(result.error || `HTTP ${response.status}`);
+                }
+
+                const blob = await response.blob();
+                const url = URL.createObjectURL(blob);
+                const a = document.createElement('a');
+                a.href = url;
+                const suffix = selectedProfile.value ? `_${selectedProfile.value}` : '';
+                a.download = `cv_${data.personal.name.toLowerCase().replace(/\s+/g, '_')}${suffix}_${lang}.docx`;
+                document.body.appendChild(a);
+                a.click();
+                document.body.removeChild(a);
+                URL.revokeObjectURL(url);
+
+                showToast(`Word document (${lang.toUpperCase()}) generated successfully`);
+            } catch (err) {
+                showToast('Failed to generate Word document: ' + err.message, 'error');
+            } finally {
+                generatingDOCX.value = false;
+            }
+        };
+
         // Upload photo
         const uploadPhoto = async (event) => {
             const file = event.target.files[0];
@@ -536,40 +1146,41 @@ const app = createApp({
             return name.replace(/_/g, ' ').replace(/\b\w/g, c => c.toUpperCase());
         };
 
-        // Toggle expand
-        const toggleExpand = (type, index) => {
-            if (!expanded[type][index]) {
-                expanded[type][index] = true;
-            } else {
-                expanded[type][index] = false;
-            }
+        // New entries get an id right away (the server keeps ids it receives)
+        const newItemId = () => crypto.randomUUID().slice(0, 8);
+
+        // Toggle expand (keyed by entry id, so it follows the entry when reordered)
+        const toggleExpand = (type, id) => {
+            expanded[type][id] = !expanded[type][id];
         };
 
         // Add experience
         const addExperience = () => {
+            const id = newItemId();
             data.experience.unshift({
+                id,
                 visible: true,
-                title: { en: '', nl: '' },
-                company: { en: '', nl: '' },
-                location: { en: '', nl: '' },
-                period: { en: '', nl: '' },
-                responsibilities: { en: [], nl: [] }
+                title: emptyLocalized(),
+                company: emptyLocalized(),
+                location: emptyLocalized(),
+                responsibilities: emptyLocalized(true)
             });
-            expanded.exp[0] = true;
+            expanded.exp[id] = true;
             hasUnsavedChanges.value = true;
             nextTick(() => initSortable());
         };
 
         // Add education
         const addEducation = () => {
+            const id = newItemId();
             data.education.unshift({
+                id,
                 visible: true,
-                degree: { en: '', nl: '' },
-                institution: { en: '', nl: '' },
-                period: '',
-                description: { en: '', nl: '' }
+                degree: emptyLocalized(),
+                institution: emptyLocalized(),
+                description: emptyLocalized()
             });
-            expanded.edu[0] = true;
+            expanded.edu[id] = true;
             hasUnsavedChanges.value = true;
             nextTick(() => initSortable());
         };
@@ -577,9 +1188,10 @@ const app = createApp({
         // Add reference
         const addReference = () => {
             data.references.push({
+                id: newItemId(),
                 visible: true,
                 name: '',
-                title: { en: '', nl: '' }
+                title: emptyLocalized()
             });
             hasUnsavedChanges.value = true;
         };
@@ -588,13 +1200,14 @@ const app = createApp({
         const addPresentation = () => {
             if (!data.presentations) data.presentations = [];
             data.presentations.unshift({
+                id: newItemId(),
                 visible: true,
-                title: { en: '', nl: '' },
+                title: emptyLocalized(),
                 event: '',
                 location: '',
                 date: '',
                 type: 'conference',
-                role: { en: 'Speaker', nl: 'Spreker' }
+                role: emptyLocalized(false, { en: 'Speaker', nl: 'Spreker' })
             });
             hasUnsavedChanges.value = true;
         };
@@ -608,16 +1221,106 @@ const app = createApp({
         };
 
         // Add publication
-        const addPublication = (type) => {
-            const templates = {
-                books: { visible: true, authors: [], title: '', year: '', publisher: '', place: '', url: '' },
-                book_chapters: { visible: true, authors: [], title: '', publication: '', year: '', publisher: '', editors: [] },
-                articles: { visible: true, authors: [], title: '', publication: '', year: '', issue: '', pages: '' }
-            };
-            data.publications[type].unshift({ ...templates[type], authorsStr: '' });
+        const addPublication = (category) => {
+            const pub = { id: newItemId(), visible: true };
+            category.fields.forEach(field => {
+                pub[field] = field === 'authors' || field === 'editors' ? [] : '';
+            });
+            if (!data.publications[category.id]) data.publications[category.id] = [];
+            data.publications[category.id].unshift({ ...pub, authorsStr: '', editorsStr: '' });
             hasUnsavedChanges.value = true;
         };
 
+        // Europass export: the server converts, the browser downloads; warnings stay in the dialog
+        const openEuropass = () => {
+            Object.assign(europass, { open: true, lang: previewLang.value, warnings: [] });
+        };
+
+        const exportEuropass = async () => {
+            europass.loading = true;
+            try {
+                const response = await fetch('/api/export/europass', {
+                    method: 'POST',
+                    headers: { 'Content-Type': 'application/json' },
+                    body: JSON.stringify({
+                        data: cleanCopy(),
+                        lang: europass.lang,
+                        format: europass.format,
+                        profile: selectedProfile.value || undefined,
+                        citationStyle: selectedCitationStyle.value || undefined
+                    })
+                });
+                const result = await response.json().catch(() => ({}));
+                if (!response.ok) throw new Error(result.error || 'Europass export failed');
+
+                const type = europass.format === 'json' ? 'application/json' : 'application/xml';
+                const url = URL.createObjectURL(new Blob([result.content], { type }));
+                const a = document.createElement('a');
+                a.href = url;
+                a.download = result.filename;
+                document.body.appendChild(a);
+                a.click();
+                document.body.removeChild(a);
+                URL.revokeObjectURL(url);
+
+                europass.warnings = result.warnings;
+                showToast(`Europass CV (${europass.lang.toUpperCase()}) exported`);
+            } catch (err) {
+                showToast(err.message, 'error');
+            } finally {
+                europass.loading = false;
+            }
+        };
+
+        // Import publications: parse on the server, preview, then add the selected entries
+        const openImport = () => {
+            Object.assign(bibImport, { open: true, text: '', format: '', entries: [], skipped: [] });
+        };
+
+        const readImportFile = async (event) => {
+            const file = event.target.files[0];
+            if (!file) return;
+            bibImport.text = await file.text();
+            event.target.value = '';
+            await previewImport();
+        };
+
+        const previewImport = async () => {
+            bibImport.loading = true;
+            try {
+                const response = await fetch('/api/import/publications', {
+                    method: 'POST',
+                    headers: { 'Content-Type': 'application/json' },
+                    body: JSON.stringify({ text: bibImport.text, format: bibImport.format || undefined, data })
+                });
+                const result = await response.json().catch(() => ({}));
+                if (!response.ok) throw new Error(result.error || 'Import failed');
+                // Duplicates are listed but not selected
+                bibImport.entries = result.entries.map(entry => ({ ...entry, selected: !entry.duplicateOf }));
+                bibImport.skipped = result.skipped;
+            } catch (err) {
+                bibImport.entries = [];
+                bibImport.skipped = [];
+                showToast(err.message, 'error');
+            } finally {
+                bibImport.loading = false;
+            }
+        };
+
+        const applyImport = () => {
+            const selected = bibImport.entries.filter(entry => entry.selected);
+            for (const type of new Set(selected.map(entry => entry.category))) {
+                const items = selected.filter(entry => entry.category === type).map(entry => entry.publication);
+                if (items.length === 0) continue;
+                if (!data.publications[type]) data.publications[type] = [];
+                data.publications[type].unshift(...items);
+            }
+            prepareAuthorsStrings();
+            hasUnsavedChanges.value = true;
+            bibImport.open = false;
+            showToast(`${selected.length} publication(s) imported`);
+        };
+
         // Remove publication
         const removePublication = (type, index) => {
             if (confirm('Are you sure you want to remove this publication?')) {
@@ -634,21 +1337,70 @@ const app = createApp({
             }
         };
 
+        // Structured dates (see cv_dates.js): YYYY or YYYY-MM
+        const isDate = (value) => /^\d{4}(-(0[1-9]|1[0-2]))?$/.test(value || '');
+
+        // Set start, end or date; an empty end means the entry is ongoing
+        const setDate = (item, key, value) => {
+            const date = value.trim();
+            if (date) {
+                item[key] = date;
+            } else {
+                delete item[key];
+            }
+            // A start date replaces the free-text period
+            if (key === 'start' && isDate(date)) delete item.period;
+        };
+
+        // Text of a period that couldn't be converted to dates
+        const legacyPeriod = (item) => {
+            if (item.period && typeof item.period === 'object') {
+                return item.period[primaryLang.value] || Object.values(item.period).find(v => v) || '';
+            }
+            return item.period || '';
+        };
+
+        // Sort entries newest first: ongoing ones on top, entries without dates at the end
+        const sortByDate = (section) => {
+            const pad = (date, month) => date.length === 4 ? `${date}-${month}` : date;
+            const key = item => isDate(item.start)
+                ? `${item.end ? pad(item.end, '12') : '9999-99'}|${pad(item.start, '01')}`
+                : '';
+            data[section].sort((a, b) => {
+                const ka = key(a);
+                const kb = key(b);
+                if (!ka || !kb) return (ka ? 0 : 1) - (kb ? 0 : 1);
+                return kb.localeCompare(ka);
+            });
+        };
+
         // Duplicate item
         const duplicateItem = (array, index) => {
             const copy = JSON.parse(JSON.stringify(data[array][index]));
+            copy.id = newItemId();
             data[array].splice(index + 1, 0, copy);
             hasUnsavedChanges.value = true;
             nextTick(() => initSortable());
         };
 
+        // Undo SortableJS's DOM move: rows are keyed by id, so Vue moves them from the data
+        let dragNextSibling = null;
+        const rememberSortableNode = (evt) => {
+            dragNextSibling = evt.item.nextSibling;
+        };
+        const restoreSortableNode = (evt) => {
+            evt.from.insertBefore(evt.item, dragNextSibling);
+        };
+
         // Initialize SortableJS
         const initSortable = () => {
             if (experienceList.value) {
                 new Sortable(experienceList.value, {
                     handle: '.drag-handle',
                     animation: 150,
+                    onStart: rememberSortableNode,
                     onEnd: (evt) => {
+                        restoreSortableNode(evt);
                         const item = data.experience.splice(evt.oldIndex, 1)[0];
                         data.experience.splice(evt.newIndex, 0, item);
                         hasUnsavedChanges.value = true;
@@ -660,7 +1412,9 @@ const app = createApp({
                 new Sortable(educationList.value, {
                     handle: '.drag-handle',
                     animation: 150,
+                    onStart: rememberSortableNode,
                     onEnd: (evt) => {
+                        restoreSortableNode(evt);
                         const item = data.education.splice(evt.oldIndex, 1)[0];
                         data.education.splice(evt.newIndex, 0, item);
                         hasUnsavedChanges.value = true;
@@ -679,6 +1433,10 @@ const app = createApp({
             refreshPreview();
         });
 
+        watch([selectedTemplate, selectedProfile, selectedCitationStyle], () => {
+            refreshPreview();
+        });
+
         // Warn before leaving with unsaved changes
         window.addEventListener('beforeunload', (e) => {
             if (hasUnsavedChanges.value) {
@@ -700,6 +1458,10 @@ const app = createApp({
         // Load on mount
         onMounted(() => {
             console.log('Vue app mounted, loading data...');
+            loadTemplates();
+            loadCitationStyles();
+            loadPublicationCategories();
+            loadPageSettings();
             loadData();
         });
 
@@ -709,11 +1471,29 @@ const app = createApp({
             error,
             saving,
             generatingPDF,
+            generatingDOCX,
             hasUnsavedChanges,
             previewLang,
             previewScale,
+            templates,
+            selectedTemplate,
+            selectedTemplateInfo,
+            selectedProfile,
+            citationStyles,
+            selectedCitationStyle,
+            publicationCategories,
+            profiles,
+            activeProfile,
+            profileLists,
             toasts,
+            saveMessage,
+            history,
+            conflict,
+            bibImport,
+            europass,
             data,
+            languages,
+            primaryLang,
             expanded,
 
             // Refs
@@ -726,22 +1506,70 @@ const app = createApp({
             saveData,
             refreshPreview,
             generatePDF,
+            generateDOCX,
             uploadPhoto,
             formatSectionName,
+            publicationCategoryLabel,
+            publicationFieldLabel,
             toggleExpand,
             addExperience,
             addEducation,
             addReference,
             addPublication,
             removePublication,
+            openEuropass,
+            exportEuropass,
+            openImport,
+            readImportFile,
+            previewImport,
+            applyImport,
             removeItem,
             duplicateItem,
+            isDate,
+            setDate,
+            legacyPeriod,
+            sortByDate,
             parseAuthors,
             parseEditors,
             addPresentation,
-            removePresentation
+            removePresentation,
+            addProfile,
+            removeProfile,
+            profileVisibility,
+            setProfileVisibility,
+            setProfileCitationStyle,
+            toggleProfilePageSettings,
+            pageFormats,
+            defaultPageSettings,
+            basePageSettings,
+            toggleProfileList,
+            profileEntries,
+            toggleProfileItem,
+            moveProfileItem,
+            itemLabel,
+            openHistory,
+            selectRevision,
+            loadDiff,
+            restoreRevision,
+            formatDateTime,
+            formatDiffValue,
+            resolveConflict,
+            discardLocalChanges
         };
     }
 });
 
 app.mount('#app');
+
+// Offline support (editor/sw.js); the server answers 404 when it is disabled
+if ('serviceWorker' in navigator) {
+    navigator.serviceWorker.register('/sw.js').catch(async (err) => {
+        console.log('Service worker not registered:', err.message);
+        // Turned off on the server (not just unreachable): remove a worker registered earlier
+        const response = await fetch('/sw.js', { method: 'HEAD' }).catch(() => null);
+        if (response && response.status === 404) {
+            const registrations = await navigator.serviceWorker.getRegistrations();
+            await Promise.all(registrations.map(registration => registration.unregister()));
+        }
+    });
+}
@@ -0,0 +1,81 @@
+/**
+ * CV Editor Service Worker - Keeps the editor viewable when the server can't be reached
+ * Registered by app.js; served as /sw.js by server.js (SERVICE_WORKER=off disables it)
+ *
+ * Requests go to the network first. Responses of the editor shell and of the
+ * read-only API calls are kept and served when the network fails, so the editor
+ * opens with the last loaded data. API responses from the cache are marked with
+ * an X-Offline header; changes can't be saved until the server is back.
+ */
+
+const CACHE_NAME = 'cv-editor-v1';
+
+// The editor page and everything it loads
+const SHELL = [
+    '/editor/',
+    '/editor/app.js',
+    '/editor/styles.css',
+    '/vendor/vue.global.prod.js',
+    '/vendor/Sortable.min.js'
+];
+
+// API calls whose last response is kept (GET only)
+const API_PATHS = [
+    '/api/data',
+    '/api/templates',
+    '/api/citation-styles',
+    '/api/publication-categories',
+    '/api/page-settings'
+];
+
+self.addEventListener('install', (event) => {
+    event.waitUntil(
+        caches.open(CACHE_NAME)
+            .then(cache => cache.addAll(SHELL))
+            .then(() => self.skipWaiting())
+    );
+});
+
+// Drop the caches of earlier versions
+self.addEventListener('activate', (event) => {
+    event.waitUntil(
+        caches.keys()
+            .then(keys => Promise.all(keys.filter(key => key !== CACHE_NAME).map(key => caches.delete(key))))
+            .then(() => self.clients.claim())
+    );
+});
+
+/**
+ * Network first: keep successful responses, fall back to the kept one
+ */
+async function networkFirst(request, pathname) {
+    const cache = await caches.open(CACHE_NAME);
+    try {
+        const response = await fetch(request);
+        if (response.ok) {
+            await cache.put(pathname, response.clone());
+        }
+        return response;
+    } catch (err) {
+        const cached = await cache.match(pathname);
+        if (!cached) {
+            throw err;
+        }
+        if (!pathname.startsWith('/api/')) {
+            return cached;
+        }
+        const headers = new Headers(cached.headers);
+        headers.set('X-Offline', '1');
+        return new Response(cached.body, { status: cached.status, statusText: cached.statusText, headers });
+    }
+}
+
+self.addEventListener('fetch', (event) => {
+    const url = new URL(event.request.url);
+    if (event.request.method !== 'GET' || url.origin !== self.location.origin) {
+        return;
+    }
+    if (SHELL.includes(url.pathname) || API_PATHS.includes(url.pathname)) {
+        event.respondWith(networkFirst(event.request, url.pathname));
+    }
+});
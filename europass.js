@@ -0,0 +1,301 @@
+/**
+ * Europass - Export the CV as a Europass CV (SkillsPassport XML or JSON, schema v3.4)
+ * Used by generate_cv.js (--export-europass) and server.js (editor download)
+ *
+ * Works on the localized data of one language, as produced by localizeData.
+ * Europass expects structured values the data doesn't always have (start dates,
+ * CEFR levels, country codes); they are derived where possible and reported as
+ * warnings where not, so the document can be checked before it is submitted.
+ */
+
+const { textFallback, localizeData, localizeTranslations } = require('./generate_cv_lib');
+const { applyProfile } = require('./cv_profiles');
+const { formatCitation, resolveCitationStyle } = require('./citation_styles');
+const { listExportEntries } = require('./bibliography_export');
+const { isISODate, parsePeriod, formatDate } = require('./cv_dates');
+
+const EUROPASS_FORMATS = ['xml', 'json'];
+const EUROPASS_NAMESPACE = 'http://europass.cedefop.europa.eu/Europass';
+const EUROPASS_XSD = 'http://europass.cedefop.europa.eu/xml/v3.4.0/EuropassSchema.xsd';
+
+// Fluency texts that mean the mother tongue
+const NATIVE_PATTERN = /native|mother tongue|moedertaal|muttersprache|langue maternelle/i;
+const CEFR_SKILLS = ['Listening', 'Reading', 'SpokenInteraction', 'SpokenProduction', 'Writing'];
+
+function escapeHtml(text) {
+    return String(text).replace(/&/g, '&amp;').replace(/</g, '&lt;').replace(/>/g, '&gt;');
+}
+
+/**
+ * Europass rich text: a list for several lines, else a paragraph
+ */
+function richText(lines) {
+    const items = (Array.isArray(lines) ? lines : [lines]).filter(line => line);
+    if (items.length === 0) return undefined;
+    if (items.length === 1) return `<p>${escapeHtml(items[0])}</p>`;
+    return `<ul>${items.map(line => `<li>${escapeHtml(line)}</li>`).join('')}</ul>`;
+}
+
+/**
+ * Code for a display name ("Nederland", "German") of a region or language in the given language
+ */
+const codeIndexes = new Map();
+function lookupCode(type, name, lang) {
+    const key = `${type}:${lang}`;
+    if (!codeIndexes.has(key)) {
+        const index = new Map();
+        const letters = 'abcdefghijklmnopqrstuvwxyz';
+        for (const locale of [lang, 'en']) {
+            const names = new Intl.DisplayNames([locale], { type, fallback: 'none' });
+            for (const a of letters) {
+                for (const b of letters) {
+                    const code = type === 'region' ? `${a}${b}`.toUpperCase() : `${a}${b}`;
+                    const label = names.of(code);
+                    if (label && !index.has(label.toLowerCase())) index.set(label.toLowerCase(), code);
+                }
+            }
+        }
+        codeIndexes.set(key, index);
+    }
+    const normalized = String(name || '').trim().toLowerCase().replace(/^the\s+/, '');
+    return codeIndexes.get(key).get(normalized) || null;
+}
+
+/**
+ * Europass period of an entry, from start/end or else read from its free-text period
+ * Warns when there is no start date or it had to be read from text
+ */
+function europassPeriod(item, lang, label, warnings) {
+    let { start, end } = item;
+    if (!isISODate(start)) {
+        if (!item.period) {
+            warnings.push(`${label}: no start date; Europass needs one`);
+            return undefined;
+        }
+        ({ start, end } = parsePeriod(item.period, lang));
+        if (!start) {
+            warnings.push(`${label}: no year in period '${item.period}'; Europass needs a start date`);
+            return undefined;
+        }
+        warnings.push(`${label}: dates read from the text '${item.period}'; add a start and end date`);
+    }
+    const date = iso => {
+        const [year, month] = iso.split('-').map(Number);
+        return month ? { Year: year, Month: month } : { Year: year };
+    };
+    return end
+        ? { From: date(start), To: date(end) }
+        : { From: date(start), Current: true };
+}
+
+/**
+ * "Dutch (native), English (C1)" -> mother tongues and foreign languages with CEFR levels
+ */
+function europassLanguages(text, lang, warnings) {
+    const motherTongues = [];
+    const foreign = [];
+    const parts = String(text || '').split(/,(?![^(]*\))/).map(part => part.trim()).filter(part => part);
+
+    for (const part of parts) {
+        const match = part.match(/^(.*?)\s*\((.*)\)$/);
+        const name = match ? match[1] : part;
+        const fluency = match ? match[2] : '';
+        const code = lookupCode('language', name, lang);
+        if (!code) {
+            warnings.push(`languages: no language code for '${name}'`);
+        }
+        const description = { Code: code || undefined, Label: name };
+
+        if (NATIVE_PATTERN.test(fluency)) {
+            motherTongues.push({ Description: description });
+            continue;
+        }
+        const level = (fluency.match(/\b([ABC][12])\b/) || [])[1];
+        if (!level) {
+            warnings.push(`languages: no CEFR level (A1-C2) for '${part}'; Europass lists a level per skill`);
+        }
+        foreign.push({
+            Description: description,
+            ProficiencyLevel: level ? Object.fromEntries(CEFR_SKILLS.map(skill => [skill, level])) : undefined
+        });
+    }
+    return { MotherTongue: motherTongues, ForeignLanguage: foreign };
+}
+
+/**
+ * Europass document (JSON form) for localized data
+ * `cv` is the output of localizeData, `t` the translations of the language.
+ * Returns { document, warnings }
+ */
+function buildEuropass(cv, t, lang, options = {}) {
+    const warnings = [];
+    const shown = section => cv.sectionVisibility?.[section] !== false;
+    const visible = items => (items || []).filter(item => item.visible !== false);
+    const personal = cv.personal || {};
+
+    const [first, ...rest] = String(personal.name || '').trim().split(/\s+/);
+    const [municipality, ...country] = String(personal.location || '').split(',').map(part => part.trim());
+    const countryLabel = country.join(', ');
+    const countryCode = countryLabel ? lookupCode('region', countryLabel, lang) : null;
+    if (countryLabel && !countryCode) {
+        warnings.push(`personal.location: no country code for '${countryLabel}'`);
+    }
+
+    const achievements = [];
+    if (shown('publications')) {
+        const citations = listExportEntries(cv).map(({ category, pub }) => formatCitation(pub, category, options.citationStyle));
+        if (citations.length > 0) {
+            achievements.push({ Title: { Code: 'publications', Label: t.publications }, Description: richText(citations) });
+        }
+    }
+    if (shown('presentations')) {
+        const talks = visible(cv.presentations).map(item =>
+            [item.title, item.event, item.location, formatDate(item.date, lang)].filter(part => part).join(', '));
+        if (talks.length > 0) {
+            achievements.push({ Title: { Code: 'presentations', Label: t.presentations }, Description: richText(talks) });
+        }
+    }
+    if (shown('references')) {
+        const references = visible(cv.references).map(item => [item.name, item.title].filter(part => part).join(', '));
+        if (references.length > 0) {
+            achievements.push({ Title: { Code: 'references', Label: t.references }, Description: richText(references) });
+        }
+    }
+
+    const learnerInfo = {
+        Identification: {
+            PersonName: { FirstName: first, Surname: rest.join(' ') },
+            ContactInfo: {
+                Address: { Contact: { Municipality: municipality, Country: { Code: countryCode || undefined, Label: countryLabel } } },
+                Email: { Contact: personal.email },
+                Telephone: personal.phone ? [{ Contact: personal.phone, Use: { Code: 'mobile' } }] : [],
+                Website: [personal.website, personal.linkedin].filter(url => url).map(url => ({ Contact: url, Use: { Code: 'personal' } }))
+            }
+        },
+        Headline: shown('profile') && cv.profile
+            ? { Type: { Code: 'personal_statement', Label: t.profile }, Description: { Label: cv.profile } }
+            : undefined,
+        WorkExperience: (shown('experience') ? visible(cv.experience) : []).map(item => ({
+            Period: europassPeriod(item, lang, `experience '${item.title}'`, warnings),
+            Position: { Label: item.title },
+            Activities: richText(item.responsibilities),
+            Employer: {
+                Name: item.company,
+                ContactInfo: item.location ? { Address: { Contact: { Municipality: item.location } } } : undefined
+            }
+        })),
+        Education: (shown('education') ? visible(cv.education) : []).map(item => ({
+            Period: europassPeriod(item, lang, `education '${item.degree}'`, warnings),
+            Title: item.degree,
+            Activities: richText(item.description),
+            Organisation: { Name: item.institution }
+        })),
+        Skills: shown('languages') ? { Linguistic: europassLanguages(cv.languages, lang, warnings) } : undefined,
+        Achievement: achievements
+    };
+
+    const document = {
+        SkillsPassport: {
+            Locale: lang,
+            DocumentInfo: {
+                DocumentType: 'ECV',
+                CreationDate: (options.now || new Date()).toISOString(),
+                XSDVersion: 'V3.4',
+                Generator: 'cv-generator'
+            },
+            LearnerInfo: learnerInfo
+        }
+    };
+    return { document: prune(document), warnings };
+}
+
+/**
+ * Drop undefined and empty values, so optional Europass elements are left out
+ */
+function prune(value) {
+    if (Array.isArray(value)) {
+        return value.map(prune).filter(item => item !== undefined);
+    }
+    if (value !== null && typeof value === 'object') {
+        const entries = Object.entries(value)
+            .map(([key, v]) => [key, prune(v)])
+            .filter(([, v]) => v !== undefined && v !== '' &&
+                !(typeof v === 'object' && Object.keys(v).length === 0));
+        return entries.length > 0 ? Object.fromEntries(entries) : undefined;
+    }
+    return value;
+}
+
+// ---------------------------------------------------------------- XML
+
+function escapeXml(text) {
+    return String(text).replace(/&/g, '&amp;').replace(/</g, '&lt;').replace(/>/g, '&gt;').replace(/"/g, '&quot;');
+}
+
+/**
+ * XML for one element of the JSON form
+ * Lists become <NameList><Name/>...</NameList>; dates become attributes (<From year="2022" month="--09"/>)
+ */
+function xmlElement(name, value, indent) {
+    const pad = '  '.repeat(indent);
+    if (Array.isArray(value)) {
+        return `${pad}<${name}List>\n${value.map(item => xmlElement(name, item, indent + 1)).join('')}${pad}</${name}List>\n`;
+    }
+    if (value !== null && typeof value === 'object') {
+        if ('Year' in value) {
+            const month = value.Month ? ` month="--${String(value.Month).padStart(2, '0')}"` : '';
+            return `${pad}<${name} year="${value.Year}"${month}/>\n`;
+        }
+        const children = Object.entries(value).map(([key, v]) => xmlElement(key, v, indent + 1)).join('');
+        return `${pad}<${name}>\n${children}${pad}</${name}>\n`;
+    }
+    return `${pad}<${name}>${escapeXml(value)}</${name}>\n`;
+}
+
+/**
+ * Europass XML for the JSON form
+ */
+function toEuropassXML(document) {
+    const { Locale, ...content } = document.SkillsPassport;
+    const children = Object.entries(content).map(([key, value]) => xmlElement(key, value, 1)).join('');
+    return '<?xml version="1.0" encoding="UTF-8"?>\n' +
+        `<SkillsPassport xmlns="${EUROPASS_NAMESPACE}" xmlns:xsi="http://www.w3.org/2001/XMLSchema-instance" ` +
+        `xsi:schemaLocation="${EUROPASS_NAMESPACE} ${EUROPASS_XSD}" locale="${escapeXml(Locale)}">\n` +
+        `${children}</SkillsPassport>\n`;
+}
+
+/**
+ * The CV in one language as a Europass document
+ * Hidden sections and entries are left out.
+ *
+ * Options:
+ *   format        - 'xml' (default) or 'json'
+ *   fallback      - translation fallback policy (see localizeData); 'mark' is treated as 'fallback'
+ *   profile       - tailored profile to apply first
+ *   citationStyle - style of the publication list (default: the profile's, else house)
+ *
+ * Returns { content, warnings }
+ */
+function toEuropass(data, lang, options = {}) {
+    const format = options.format || 'xml';
+    if (!EUROPASS_FORMATS.includes(format)) {
+        throw new Error(`Unknown Europass format '${format}' (expected one of: ${EUROPASS_FORMATS.join(', ')})`);
+    }
+    const raw = applyProfile(data, options.profile);
+    const localizeOptions = { fallback: textFallback(options.fallback) };
+    const cv = localizeData(raw, lang, localizeOptions);
+    const t = localizeTranslations(raw, lang, localizeOptions);
+    const citationStyle = resolveCitationStyle(options.citationStyle, data.profiles?.[options.profile]);
+
+    const { document, warnings } = buildEuropass(cv, t, lang, { citationStyle });
+
+    const content = format === 'json' ? JSON.stringify(document, null, 2) + '\n' : toEuropassXML(document);
+    return { content, warnings };
+}
+
+module.exports = {
+    EUROPASS_FORMATS,
+    buildEuropass,
+    toEuropassXML,
+    toEuropass
+};
@@ -0,0 +1,165 @@
+/**
+ * Feeds - Atom and RSS feeds of the publications and presentations
+ * Used by generate_portfolio.js (docs/feeds/<lang>/<type>.atom and .rss)
+ *
+ * Works on localized data as the portfolio templates see it. Items are sorted
+ * newest first; publications are dated by their year, presentations by their
+ * date, and entries without a date are left out. Item ids are tag URIs made from
+ * the entry id (see item_ids.js) and the language, so an item keeps its id when
+ * the entry is edited or moved and feed readers don't show it twice.
+ */
+
+const { formatCitation } = require('./citation_styles');
+
+const FEED_TYPES = ['publications', 'presentations'];
+
+// Date in the tag URIs (RFC 4151); never change it, or every item gets a new id
+const TAG_DATE = '2025';
+
+const visible = items => (items || []).filter(item => item.visible !== false);
+
+function escapeXml(text) {
+    return String(text === undefined || text === null ? '' : text)
+        .replace(/&/g, '&amp;').replace(/</g, '&lt;').replace(/>/g, '&gt;').replace(/"/g, '&quot;');
+}
+
+/**
+ * tag: URI of a feed or item, e.g. tag:example.org,2025:en:publication:84c8a228
+ */
+function tagUri(domain, ...parts) {
+    return `tag:${domain},${TAG_DATE}:${parts.join(':')}`;
+}
+
+/**
+ * RFC 3339 timestamp of a year or year-month ("2019", "2025-09"), or null
+ */
+function feedDate(value) {
+    const match = String(value || '').match(/^(\d{4})(?:-(\d{2}))?/);
+    return match ? `${match[1]}-${match[2] || '01'}-01T00:00:00Z` : null;
+}
+
+/**
+ * Items of a feed: [{ id, title, url, date, summary, content }], newest first
+ * options: { domain, lang, pageUrl (the page the items link to), citationStyle }
+ */
+function feedItems(cv, type, options) {
+    const { domain, lang, pageUrl } = options;
+    const items = [];
+
+    if (type === 'publications') {
+        for (const category of cv.publicationLists || []) {
+            for (const pub of visible(category.items)) {
+                items.push({
+                    id: tagUri(domain, lang, 'publication', pub.id),
+                    title: pub.title,
+                    url: `${pageUrl}#pub-${pub.id}`,
+                    date: feedDate(pub.year),
+                    summary: `${category.label}${pub.publication ? `, ${pub.publication}` : ''} (${pub.year})`,
+                    content: formatCitation(pub, category, options.citationStyle, { html: true })
+                });
+            }
+        }
+    } else if (type === 'presentations') {
+        for (const pres of visible(cv.presentations)) {
+            const where = [pres.event, pres.location].filter(part => part).join(', ');
+            items.push({
+                id: tagUri(domain, lang, 'presentation', pres.id),
+                title: pres.title,
+                url: `${pageUrl}#pres-${pres.id}`,
+                date: feedDate(pres.date),
+                summary: `${where}${pres.dateLabel ? ` (${pres.dateLabel})` : ''}.${pres.role ? ` ${pres.role}.` : ''}`,
+                content: null
+            });
+        }
+    } else {
+        throw new Error(`Unknown feed type '${type}' (expected one of: ${FEED_TYPES.join(', ')})`);
+    }
+
+    // Array.sort is stable: entries of the same date keep the order of the page
+    return items
+        .filter(item => item.date)
+        .sort((a, b) => b.date.localeCompare(a.date));
+}
+
+/**
+ * Last update of a feed: the date of its newest item
+ * Taken from the data rather than the build time, so an unchanged feed stays the same
+ */
+function feedUpdated(items) {
+    return items.length > 0 ? items[0].date : '1970-01-01T00:00:00Z';
+}
+
+/**
+ * Atom 1.0 document of a feed
+ * feed: { id, title, subtitle, lang, url (of the feed), pageUrl, author, items }
+ */
+function toAtom(feed) {
+    const lines = [
+        '<?xml version="1.0" encoding="UTF-8"?>',
+        `<feed xmlns="http://www.w3.org/2005/Atom" xml:lang="${escapeXml(feed.lang)}">`,
+        `  <id>${escapeXml(feed.id)}</id>`,
+        `  <title>${escapeXml(feed.title)}</title>`
+    ];
+    if (feed.subtitle) lines.push(`  <subtitle>${escapeXml(feed.subtitle)}</subtitle>`);
+    lines.push(
+        `  <link rel="self" type="application/atom+xml" href="${escapeXml(feed.url)}"/>`,
+        `  <link rel="alternate" type="text/html" href="${escapeXml(feed.pageUrl)}"/>`,
+        `  <updated>${feedUpdated(feed.items)}</updated>`,
+        `  <author><name>${escapeXml(feed.author)}</name></author>`
+    );
+    for (const item of feed.items) {
+        lines.push(
+            '  <entry>',
+            `    <id>${escapeXml(item.id)}</id>`,
+            `    <title>${escapeXml(item.title)}</title>`,
+            `    <link rel="alternate" type="text/html" href="${escapeXml(item.url)}"/>`,
+            `    <updated>${item.date}</updated>`,
+            `    <published>${item.date}</published>`,
+            `    <summary>${escapeXml(item.summary)}</summary>`
+        );
+        if (item.content) lines.push(`    <content type="html">${escapeXml(item.content)}</content>`);
+        lines.push('  </entry>');
+    }
+    lines.push('</feed>');
+    return lines.join('\n') + '\n';
+}
+
+/**
+ * RSS 2.0 document of a feed (same input as toAtom)
+ * The item guid is the Atom id, which is not a link (isPermaLink="false")
+ */
+function toRSS(feed) {
+    const rfc822 = date => new Date(date).toUTCString();
+    const lines = [
+        '<?xml version="1.0" encoding="UTF-8"?>',
+        '<rss version="2.0" xmlns:atom="http://www.w3.org/2005/Atom">',
+        '  <channel>',
+        `    <title>${escapeXml(feed.title)}</title>`,
+        `    <link>${escapeXml(feed.pageUrl)}</link>`,
+        `    <description>${escapeXml(feed.subtitle || feed.title)}</description>`,
+        `    <language>${escapeXml(feed.lang)}</language>`,
+        `    <lastBuildDate>${rfc822(feedUpdated(feed.items))}</lastBuildDate>`,
+        `    <atom:link rel="self" type="application/rss+xml" href="${escapeXml(feed.url)}"/>`
+    ];
+    for (const item of feed.items) {
+        lines.push(
+            '    <item>',
+            `      <title>${escapeXml(item.title)}</title>`,
+            `      <link>${escapeXml(item.url)}</link>`,
+            `      <guid isPermaLink="false">${escapeXml(item.id)}</guid>`,
+            `      <pubDate>${rfc822(item.date)}</pubDate>`,
+            `      <description>${escapeXml(item.content || item.summary)}</description>`,
+            '    </item>'
+        );
+    }
+    lines.push('  </channel>', '</rss>');
+    return lines.join('\n') + '\n';
+}
+
+module.exports = {
+    FEED_TYPES,
+    tagUri,
+    feedItems,
+    toAtom,
+    toRSS
+};
@@ -0,0 +1,178 @@
+/**
+ * Font Assets - Self-hosted fonts of the CV templates and checks that they are used
+ * Used by generate_cv_lib.js (prepareData, renderPDF), generate_cv.js CLI and generate_portfolio.js
+ *
+ * The fonts live in templates/fonts/ with their @font-face rules in fonts.css.
+ * prepareData adds those rules as `fontFaces`, with every file inlined as a data
+ * URL (like the photo), so rendering needs no network access and gives the same
+ * PDF on every machine. Templates put them in the head: <style>{{ fontFaces }}</style>
+ * The editor preview links the files instead (server.js serves them at /fonts/),
+ * so it doesn't carry the inlined fonts on every refresh.
+ *
+ * checkTemplateFonts() checks a template before rendering: every font it names
+ * first in a font-family must be self-hosted. checkPageFonts() checks the
+ * rendered page: every font family in use must have loaded.
+ */
+
+const fs = require('fs');
+const path = require('path');
+
+const FONTS_DIR = path.join(__dirname, 'templates', 'fonts');
+const FONTS_CSS = path.join(FONTS_DIR, 'fonts.css');
+
+// CSS generic families, which are the browser's choice and need no files
+const GENERIC_FAMILIES = [
+    'serif', 'sans-serif', 'monospace', 'cursive', 'fantasy', 'system-ui',
+    'ui-serif', 'ui-sans-serif', 'ui-monospace', 'ui-rounded', 'math', 'emoji', 'fangsong',
+    'inherit', 'initial', 'unset', 'revert'
+];
+
+let inlinedCSS = null;
+
+function unquote(name) {
+    return name.trim().replace(/^(['"])(.*)\1$/, '$2').trim();
+}
+
+/**
+ * The @font-face rules of fonts.css: [{ family, style, weight, file, rule }]
+ * file is the path of the font file, rule the CSS text of the rule
+ */
+function readFontFaces() {
+    if (!fs.existsSync(FONTS_CSS)) {
+        return [];
+    }
+    const css = fs.readFileSync(FONTS_CSS, 'utf-8');
+    return (css.match(/@font-face\s*\{[^}]*\}/g) || []).map(rule => {
+        const property = name => (rule.match(new RegExp(`${name}\\s*:\\s*([^;]+);`)) || [])[1] || '';
+        const url = (property('src').match(/url\(\s*['"]?([^'")]+)['"]?\s*\)/) || [])[1];
+        return {
+            family: unquote(property('font-family')),
+            style: property('font-style').trim() || 'normal',
+            weight: property('font-weight').trim() || '400',
+            file: url ? path.join(FONTS_DIR, url) : null,
+            rule
+        };
+    });
+}
+
+/**
+ * The @font-face rules with the font files inlined as data URLs, for a <style> tag
+ * Read once per process. With a fontUrl (e.g. '/fonts/') the rules link the files there.
+ */
+function fontFaceCSS(fontUrl = null) {
+    if (fontUrl) {
+        return readFontFaces()
+            .filter(face => face.file)
+            .map(face => face.rule.replace(/url\([^)]*\)/, () => `url(${fontUrl}${path.basename(face.file)})`))
+            .join('\n');
+    }
+    if (inlinedCSS === null) {
+        inlinedCSS = readFontFaces()
+            .filter(face => face.file && fs.existsSync(face.file))
+            .map(face => face.rule.replace(/url\([^)]*\)/, () => {
+                const data = fs.readFileSync(face.file).toString('base64');
+                return `url(data:font/${path.extname(face.file).slice(1)};base64,${data})`;
+            }))
+            .join('\n');
+    }
+    return inlinedCSS;
+}
+
+/**
+ * Font families a template asks for first in its font-family declarations
+ * (the fonts after the first are fallbacks). CSS custom properties are followed,
+ * e.g. font-family: var(--font-body) with --font-body: 'Source Sans 3', sans-serif
+ */
+function templateFontFamilies(html) {
+    const variables = {};
+    for (const [, name, value] of html.matchAll(/(--[\w-]+)\s*:\s*([^;}]+)/g)) {
+        variables[name] = value;
+    }
+    const resolve = (value, depth = 0) => depth > 10 ? value : value.replace(/var\(\s*(--[\w-]+)\s*(?:,([^)]*))?\)/g,
+        (match, name, fallback) => resolve(variables[name] || fallback || '', depth + 1));
+
+    const families = new Set();
+    for (const [, value] of html.matchAll(/font-family\s*:\s*([^;}"]+)/g)) {
+        const first = unquote(resolve(value).split(',')[0] || '');
+        if (first && !GENERIC_FAMILIES.includes(first.toLowerCase()) && !first.includes('{{')) {
+            families.add(first);
+        }
+    }
+    return [...families];
+}
+
+/**
+ * Check that a template only needs self-hosted fonts, before rendering
+ * Returns a list of problems (empty when every font resolves locally)
+ */
+function checkTemplateFonts(templatePath) {
+    const problems = [];
+    const html = fs.readFileSync(templatePath, 'utf-8');
+    const faces = readFontFaces();
+
+    for (const face of faces) {
+        if (!face.file || !fs.existsSync(face.file)) {
+            problems.push(`font file of '${face.family}' ${face.weight} ${face.style} is missing: ${face.file || '(no url)'}`);
+        }
+    }
+    for (const family of templateFontFamilies(html)) {
+        if (!faces.some(face => face.family === family)) {
+            problems.push(`font '${family}' is not self-hosted (no @font-face in ${path.relative(__dirname, FONTS_CSS)})`);
+        }
+    }
+    if (/<link[^>]+href=["']https?:\/\/[^"']*font/i.test(html) || /@import\s+url\(["']?https?:/i.test(html)) {
+        problems.push('template loads fonts from the network');
+    }
+    if (faces.length > 0 && !html.includes('fontFaces')) {
+        problems.push('template does not include the self-hosted fonts ({{ fontFaces }})');
+    }
+    return problems;
+}
+
+/**
+ * Check the fonts of a rendered page: every family that text is set in must have
+ * loaded (status 'loaded' in document.fonts), otherwise Chromium used a fallback
+ * Call after waitForRender. Returns a list of problems.
+ */
+async function checkPageFonts(page) {
+    const { used, faces } = await page.evaluate(() => {
+        const families = new Set();
+        for (const element of document.body.querySelectorAll('*')) {
+            const hasText = Array.from(element.childNodes)
+                .some(node => node.nodeType === Node.TEXT_NODE && node.textContent.trim());
+            if (hasText) {
+                families.add(getComputedStyle(element).fontFamily.split(',')[0].trim().replace(/^["']|["']$/g, ''));
+            }
+        }
+        return {
+            used: [...families],
+            faces: Array.from(document.fonts).map(face => ({
+                family: face.family.replace(/^["']|["']$/g, ''),
+                weight: face.weight,
+                style: face.style,
+                status: face.status
+            }))
+        };
+    });
+
+    const problems = [];
+    for (const face of faces.filter(f => f.status === 'error')) {
+        problems.push(`font '${face.family}' ${face.weight} ${face.style} failed to load`);
+    }
+    for (const family of used) {
+        if (GENERIC_FAMILIES.includes(family.toLowerCase())) continue;
+        if (!faces.some(face => face.family === family && face.status === 'loaded')) {
+            problems.push(`font '${family}' did not load, a fallback font was used`);
+        }
+    }
+    return problems;
+}
+
+module.exports = {
+    FONTS_DIR,
+    readFontFaces,
+    fontFaceCSS,
+    templateFontFamilies,
+    checkTemplateFonts,
+    checkPageFonts
+};
@@ -1,108 +1,82 @@
 #!/usr/bin/env node
 /**
- * CV Generator - Converts JSON data + HTML template to PDF
- * Supports bilingual output (English/Dutch)
+ * CV Generator - Converts JSON data + HTML template to PDF (or DOCX, text, Markdown)
+ * Supports every language defined in the data's `translations`
  *
  * Usage:
- *   node generate_cv.js                         # Generate English PDF
+ *   node generate_cv.js                         # Generate PDF in the default (first) language
  *   node generate_cv.js --lang nl               # Generate Dutch PDF
  *   node generate_cv.js --lang en --lang nl     # Generate both languages
+ *   node generate_cv.js --lang all              # Generate every language in the data
  *   node generate_cv.js --output my_cv.pdf      # Custom output filename
  *   node generate_cv.js --html                  # Also output HTML file
+ *   node generate_cv.js --format docx           # Generate a Word document instead of a PDF
+ *   node generate_cv.js --format txt --width 72 # Plain text for ATS and web forms (or md: Markdown)
+ *   node generate_cv.js --template academic     # Use a named template from templates/cv/
+ *   node generate_cv.js --list-templates        # Show the available templates
+ *   node generate_cv.js --profile academic      # Apply a tailored profile from the data
+ *   node generate_cv.js --list-profiles         # Show the profiles defined in the data
+ *   node generate_cv.js --citation-style apa    # Format publications in another citation style
+ *   node generate_cv.js --validate              # Only check cv_data.json against the schema
+ *   node generate_cv.js --translation-report    # List missing/empty translations per language
+ *   node generate_cv.js --migrate-dates         # Convert free-text periods to structured dates
+ *   node generate_cv.js --fallback error        # Fail instead of falling back to another language
+ *   node generate_cv.js --export-jsonresume     # Write resume_<lang>.json (JSON Resume) per language
+ *   node generate_cv.js --import-jsonresume resume_en.json --import-jsonresume resume_nl.json
+ *   node generate_cv.js --export-europass xml   # Write europass_<lang>.xml (Europass CV) per language
  *
  * First time setup:
- *   npm install puppeteer nunjucks
+ *   npm install puppeteer nunjucks docx
  */
 
 const fs = require('fs');
 const path = require('path');
-const nunjucks = require('nunjucks');
-
-/**
- * Recursively localize all values in an object
- * Extracts language-specific values from {en: ..., nl: ...} objects
- */
-function localizeData(data, lang) {
-    if (Array.isArray(data)) {
-        return data.map(item => localizeData(item, lang));
-    }
-    if (data !== null && typeof data === 'object') {
-        // Check if this is a language object itself (has lang key with string/array value)
-        if (data[lang] !== undefined && (typeof data[lang] === 'string' || Array.isArray(data[lang]))) {
-            return data[lang];
-        }
-        // Otherwise recurse into the object
-        const result = {};
-        for (const [key, value] of Object.entries(data)) {
-            result[key] = localizeData(value, lang);
-        }
-        return result;
-    }
-    return data;
-}
-
-/**
- * Convert image to base64 data URL
- */
-function imageToBase64(imagePath) {
-    if (!fs.existsSync(imagePath)) {
-        console.warn(`  Warning: Image not found: ${imagePath}`);
-        return null;
-    }
-    const imageBuffer = fs.readFileSync(imagePath);
-    const ext = path.extname(imagePath).toLowerCase().slice(1);
-    const mimeType = ext === 'jpg' ? 'jpeg' : ext;
-    return `data:image/${mimeType};base64,${imageBuffer.toString('base64')}`;
-}
-
-async function generatePDF(htmlContent, outputPath, baseDir) {
-    let puppeteer;
-    try {
-        puppeteer = require('puppeteer');
-    } catch (e) {
-        console.error('Error: puppeteer not installed. Run: npm install puppeteer');
-        process.exit(1);
-    }
-
-    const browser = await puppeteer.launch({
-        headless: 'new',
-        args: ['--no-sandbox', '--disable-setuid-sandbox']
-    });
-    const page = await browser.newPage();
-
-    // Set viewport for consistent rendering
-    await page.setViewport({ width: 794, height: 1123 }); // A4 at 96 DPI
-
-    // Set base URL for relative paths (like images)
-    await page.setContent(htmlContent, {
-        waitUntil: 'networkidle0',
-        baseURL: `file://${baseDir}/`
-    });
-
-    // Wait for fonts to load
-    await page.evaluateHandle('document.fonts.ready');
-
-    // Small delay to ensure rendering is complete
-    await new Promise(resolve => setTimeout(resolve, 500));
-
-    await page.pdf({
-        path: outputPath,
-        format: 'A4',
-        margin: { top: '12mm', right: '14mm', bottom: '12mm', left: '14mm' },
-        printBackground: true,
-    });
-
-    await browser.close();
-    console.log(`  PDF generated: ${outputPath}`);
-}
+const {
+    validateData,
+    formatValidationErrors,
+    getLanguages,
+    FALLBACK_POLICIES,
+    getTranslationStatus,
+    formatTranslationStatus,
+    renderHTML,
+    generatePDF
+} = require('./generate_cv_lib');
+const { closeBrowser } = require('./browser_pool');
+const { listTemplates, resolveTemplate } = require('./template_registry');
+const { listProfiles, findMissingItems, applyProfile } = require('./cv_profiles');
+const { resolvePageSettings } = require('./page_settings');
+const { checkTemplateFonts } = require('./font_assets');
+const { assignItemIds } = require('./item_ids');
+const { migrateDates } = require('./cv_dates');
+const { CITATION_STYLES, listCitationStyles } = require('./citation_styles');
+const { toJSONResume, fromJSONResume } = require('./json_resume');
+const { EUROPASS_FORMATS, toEuropass } = require('./europass');
+const { renderDOCX } = require('./docx_export');
+const { TEXT_FORMATS, BULLET_STYLES, DEFAULT_WIDTH, renderText } = require('./text_export');
+
+// Formats of the generated CV
+const OUTPUT_FORMATS = ['pdf', 'docx', ...TEXT_FORMATS];
 
 function parseArgs() {
     const args = process.argv.slice(2);
     const options = {
         data: null,
         template: null,
+        profile: null,
+        listProfiles: false,
+        citationStyle: null,
         output: null,
         html: false,
+        format: 'pdf',
+        width: DEFAULT_WIDTH,
+        bullet: '-',
+        validate: false,
+        translationReport: false,
+        migrateDates: false,
+        exportJsonResume: false,
+        importJsonResume: [],
+        exportEuropass: null,
+        fallback: 'fallback',
         langs: [],
     };
 
@@ -123,6 +97,83 @@ function parseArgs() {
             case '--html':
                 options.html = true;
                 break;
+            case '--format':
+            case '-f':
+                options.format = args[++i];
+                if (!OUTPUT_FORMATS.includes(options.format)) {
+                    console.error(`Error: --format must be one of: ${OUTPUT_FORMATS.join(', ')}`);
+                    process.exit(1);
+                }
+                break;
+            case '--width':
+            case '-w':
+                options.width = Number(args[++i]);
+                if (!Number.isInteger(options.width) || options.width < 0) {
+                    console.error('Error: --width must be a number of columns, or 0 for no wrapping');
+                    process.exit(1);
+                }
+                break;
+            case '--bullet':
+                options.bullet = args[++i];
+                if (!BULLET_STYLES.includes(options.bullet)) {
+                    console.error(`Error: --bullet must be one of: ${BULLET_STYLES.join(' ')}`);
+                    process.exit(1);
+                }
+                break;
+            case '--list-templates':
+                for (const template of listTemplates()) {
+                    console.log(`${template.id}${template.default ? ' (default)' : ''}`);
+                    console.log(`    ${template.name}: ${template.description}`);
+                }
+                process.exit(0);
+            case '--profile':
+            case '-p':
+                options.profile = args[++i];
+                break;
+            case '--list-profiles':
+                options.listProfiles = true;
+                break;
+            case '--citation-style':
+                options.citationStyle = args[++i];
+                if (!CITATION_STYLES[options.citationStyle]) {
+                    console.error(`Error: --citation-style must be one of: ${Object.keys(CITATION_STYLES).join(', ')}`);
+                    process.exit(1);
+                }
+                break;
+            case '--list-citation-styles':
+                for (const style of listCitationStyles()) {
+                    console.log(`${style.id}${style.default ? ' (default)' : ''}    ${style.label}`);
+                }
+                process.exit(0);
+            case '--validate':
+                options.validate = true;
+                break;
+            case '--translation-report':
+                options.translationReport = true;
+                break;
+            case '--migrate-dates':
+                options.migrateDates = true;
+                break;
+            case '--export-jsonresume':
+                options.exportJsonResume = true;
+                break;
+            case '--import-jsonresume':
+                options.importJsonResume.push(args[++i]);
+                break;
+            case '--export-europass':
+                options.exportEuropass = args[++i];
+                if (!EUROPASS_FORMATS.includes(options.exportEuropass)) {
+                    console.error(`Error: --export-europass must be one of: ${EUROPASS_FORMATS.join(', ')}`);
+                    process.exit(1);
+                }
+                break;
+            case '--fallback':
+                options.fallback = args[++i];
+                if (!FALLBACK_POLICIES.includes(options.fallback)) {
+                    console.error(`Error: --fallback must be one of: ${FALLBACK_POLICIES.join(', ')}`);
+                    process.exit(1);
+                }
+                break;
             case '--lang':
             case '-l':
                 options.langs.push(args[++i]);
@@ -131,83 +182,209 @@ function parseArgs() {
             case '-h':
                 console.log(`
 CV Generator - Converts JSON data + HTML template to PDF
-Supports bilingual output (English/Dutch)
+Supports every language defined in the data's translations
 
 Usage:
   node generate_cv.js [options]
 
 Options:
   --data, -d <file>      Path to JSON data file (default: cv_data.json)
-  --template, -t <file>  Path to HTML template (default: templates/cv_template.html)
-  --output, -o <file>    Output PDF filename (default: cv_<name>_<lang>.pdf)
-  --lang, -l <code>      Language code: 'en' or 'nl' (can be used multiple times)
+  --template, -t <name>  Template name from templates/cv/ or path to an HTML file (default: classic)
+  --list-templates       List the available templates and exit
+  --profile, -p <name>   Apply a tailored profile defined under 'profiles' in the data
+  --list-profiles        List the profiles defined in the data and exit
+  --citation-style <id>  Citation style of the publications: house, apa, chicago or oscola
+                         (default: the profile's style, else house)
+  --list-citation-styles List the citation styles and exit
+  --output, -o <file>    Output filename (default: cv_<name>[_<profile>]_<lang>.<format>)
+  --format, -f <format>  Output format: 'pdf' (default), 'docx' (Word), 'txt' (plain text)
+                         or 'md' (Markdown); docx, txt and md follow the section order of
+                         the classic template whatever --template is
+  --width, -w <columns>  Line width of txt and md output (default: ${DEFAULT_WIDTH}, 0: no wrapping)
+  --bullet <char>        List marker of txt and md output: ${BULLET_STYLES.join(' ')} (default: -;
+                         Markdown only allows - * +)
+  --lang, -l <code>      Language code from the data, or 'all' (can be used multiple times)
   --html                 Also output the rendered HTML file
+  --validate             Validate the data file against cv_data.schema.json and exit
+  --translation-report   List missing, empty and mismatched translations and exit
+  --migrate-dates        Convert free-text periods and presentation dates in the data file
+                         to structured dates (start/end/date) and exit
+  --fallback <policy>    Missing translations: 'fallback' (use another language, default),
+                         'mark' (highlight the fallback in the HTML) or 'error' (fail)
+  --export-jsonresume    Write the CV as JSON Resume, one file per language
+                         (default: every language, resume_<lang>.json) and exit
+  --import-jsonresume <file>
+                         Merge a JSON Resume into the data (one per language, can be used
+                         multiple times) and write it to --output (default: cv_data_imported.json)
+  --export-europass <format>
+                         Write the CV as a Europass CV ('xml' or 'json'), one file per language
+                         (default: every language, europass_<lang>.<format>) and exit
   --help, -h             Show this help message
 
 Examples:
-  node generate_cv.js                    # Generate English PDF
+  node generate_cv.js                    # Generate default language PDF
   node generate_cv.js --lang nl          # Generate Dutch PDF
   node generate_cv.js -l en -l nl        # Generate both languages
+  node generate_cv.js --lang all         # Generate every language
   node generate_cv.js --html --lang nl   # Dutch PDF + HTML preview
+  node generate_cv.js -f docx -l all     # Word documents in every language
+  node generate_cv.js -f txt -w 0        # Unwrapped plain text to paste into web forms
+  node generate_cv.js -f md --bullet '*' # Markdown
+  node generate_cv.js -t one-page        # One-page layout
+  node generate_cv.js --profile academic # Academic variant of the CV
+  node generate_cv.js --citation-style oscola
+  node generate_cv.js --validate         # Check cv_data.json without generating
+  node generate_cv.js --translation-report
+  node generate_cv.js -l all --fallback error   # Refuse incomplete translations
+  node generate_cv.js --export-jsonresume -l en
+  node generate_cv.js --import-jsonresume resume_en.json --import-jsonresume resume_nl.json
+  node generate_cv.js --export-europass xml -l nl
 `);
                 process.exit(0);
         }
     }
 
-    // Default to English if no language specified
-    if (options.langs.length === 0) {
-        options.langs = ['en'];
-    }
-
     return options;
 }
 
 async function generateForLanguage(rawData, templatePath, lang, options, scriptDir) {
     console.log(`\nGenerating ${lang.toUpperCase()} version...`);
+    const renderOptions = {
+        fallback: options.fallback,
+        profile: options.profile,
+        citationStyle: options.citationStyle
+    };
 
-    // Configure nunjucks
-    const env = nunjucks.configure(path.dirname(templatePath), {
-        autoescape: false,
-        trimBlocks: true,
-        lstripBlocks: true,
-    });
+    // Determine output filename
+    let outputPath = options.output;
+    if (!outputPath || options.langs.length > 1) {
+        const name = (rawData.personal?.name || 'cv').toLowerCase().replace(/\s+/g, '_');
+        const suffix = options.profile ? `_${options.profile}` : '';
+        outputPath = path.join(scriptDir, `cv_${name}${suffix}_${lang}.${options.format}`);
+    }
 
-    // Localize all data for this language
-    const data = localizeData(rawData, lang);
+    // Render template with the localized data
+    if (options.format === 'pdf' || options.html) {
+        const htmlContent = renderHTML(rawData, templatePath, lang, scriptDir, renderOptions);
 
-    // Add translations object as 't' for template access
-    data.t = rawData.translations[lang] || rawData.translations.en;
-    data.lang = lang;
+        // Optionally save HTML
+        if (options.html) {
+            const htmlPath = outputPath.replace(/\.(pdf|docx|txt|md)$/i, '') + '.html';
+            fs.writeFileSync(htmlPath, htmlContent, 'utf-8');
+            console.log(`  HTML generated: ${htmlPath}`);
+        }
 
-    // Convert photo to base64 if exists
-    if (data.personal && data.personal.photo) {
-        const photoPath = path.join(scriptDir, data.personal.photo);
-        const base64Photo = imageToBase64(photoPath);
-        if (base64Photo) {
-            data.personal.photo = base64Photo;
+        if (options.format === 'pdf') {
+            // Page format, margins etc. of the data, or of the profile
+            const pageSettings = resolvePageSettings(applyProfile(rawData, options.profile));
+            const { pages, scale } = await generatePDF(htmlContent, outputPath, scriptDir, pageSettings);
+            const scaled = scale !== pageSettings.scale ? `, scaled to ${scale}` : '';
+            console.log(`  PDF generated: ${outputPath} (${pages} page${pages === 1 ? '' : 's'}${scaled})`);
         }
     }
 
-    // Render template with nunjucks
-    const templateName = path.basename(templatePath);
-    const htmlContent = env.render(templateName, data);
+    if (options.format === 'docx') {
+        const buffer = await renderDOCX(rawData, lang, scriptDir, renderOptions);
+        fs.writeFileSync(outputPath, buffer);
+        console.log(`  DOCX generated: ${outputPath}`);
+    }
 
-    // Determine output filename
-    let outputPath = options.output;
-    if (!outputPath || options.langs.length > 1) {
-        const name = (rawData.personal?.name || 'cv').toLowerCase().replace(/\s+/g, '_');
-        outputPath = path.join(scriptDir, `cv_${name}_${lang}.pdf`);
+    if (TEXT_FORMATS.includes(options.format)) {
+        const text = renderText(rawData, lang, scriptDir, {
+            ...renderOptions,
+            format: options.format,
+            width: options.width,
+            bullet: options.bullet
+        });
+        fs.writeFileSync(outputPath, text, 'utf-8');
+        console.log(`  ${options.format === 'md' ? 'Markdown' : 'Text'} generated: ${outputPath}`);
+    }
+}
+
+/**
+ * Write one JSON Resume per requested language (default: every language)
+ */
+function exportJSONResume(rawData, options, scriptDir) {
+    const languages = getLanguages(rawData);
+    const langs = options.langs.length === 0 || options.langs.includes('all') ? languages : options.langs;
+
+    for (const lang of langs) {
+        if (!languages.includes(lang)) {
+            console.warn(`Warning: Unknown language '${lang}' (available: ${languages.join(', ')}), skipping...`);
+            continue;
+        }
+        const resume = toJSONResume(rawData, lang, {
+            fallback: options.fallback,
+            profile: options.profile,
+            citationStyle: options.citationStyle
+        });
+        const outputPath = options.output && langs.length === 1 ? options.output : path.join(scriptDir, `resume_${lang}.json`);
+        fs.writeFileSync(outputPath, JSON.stringify(resume, null, 2) + '\n', 'utf-8');
+        console.log(`JSON Resume (${lang}) generated: ${outputPath}`);
+    }
+}
+
+/**
+ * Write one Europass CV per requested language (default: every language)
+ * Fields Europass needs but the data lacks are reported as warnings
+ */
+function exportEuropass(rawData, options, scriptDir) {
+    const languages = getLanguages(rawData);
+    const langs = options.langs.length === 0 || options.langs.includes('all') ? languages : options.langs;
+    const format = options.exportEuropass;
+
+    for (const lang of langs) {
+        if (!languages.includes(lang)) {
+            console.warn(`Warning: Unknown language '${lang}' (available: ${languages.join(', ')}), skipping...`);
+            continue;
+        }
+        const { content, warnings } = toEuropass(rawData, lang, {
+            format,
+            fallback: options.fallback,
+            profile: options.profile,
+            citationStyle: options.citationStyle
+        });
+        const outputPath = options.output && langs.length === 1 ? options.output : path.join(scriptDir, `europass_${lang}.${format}`);
+        fs.writeFileSync(outputPath, content, 'utf-8');
+        console.log(`Europass CV (${lang}) generated: ${outputPath}`);
+        warnings.forEach(warning => console.warn(`  Warning: ${warning}`));
     }
+}
 
-    // Optionally save HTML
-    if (options.html) {
-        const htmlPath = outputPath.replace(/\.pdf$/i, '.html');
-        fs.writeFileSync(htmlPath, htmlContent, 'utf-8');
-        console.log(`  HTML generated: ${htmlPath}`);
+/**
+ * Merge the JSON Resume files into the data and write the result to a new file
+ * The language of a file is its meta.language, else a _<lang>.json suffix
+ */
+function importJSONResume(rawData, options, dataPath) {
+    const languages = getLanguages(rawData);
+    const resumes = {};
+    for (const file of options.importJsonResume) {
+        if (!file || !fs.existsSync(file)) {
+            throw new Error(`Resume file not found: ${file}`);
+        }
+        const resume = JSON.parse(fs.readFileSync(file, 'utf-8'));
+        const suffix = (path.basename(file).match(/[_.-]([a-z]{2,3})\.json$/i) || [])[1];
+        const lang = resume.meta?.language || (languages.includes(suffix) ? suffix : null);
+        if (!lang) {
+            throw new Error(`Cannot tell the language of ${file}: set meta.language or name it <name>_<lang>.json`);
+        }
+        if (resumes[lang]) {
+            throw new Error(`Two resumes for '${lang}'`);
+        }
+        resumes[lang] = resume;
     }
 
-    // Generate PDF
-    await generatePDF(htmlContent, outputPath, scriptDir);
+    const { data, warnings } = fromJSONResume(resumes, rawData);
+    warnings.forEach(warning => console.warn(`Warning: ${warning}`));
+
+    const validation = validateData(data);
+    if (!validation.valid) {
+        throw new Error(`The imported data does not match the schema:\n${formatValidationErrors(validation.errors)}`);
+    }
+    const outputPath = options.output || path.join(path.dirname(dataPath), 'cv_data_imported.json');
+    fs.writeFileSync(outputPath, JSON.stringify(data, null, 2), 'utf-8');
+    console.log(`Imported ${Object.keys(resumes).join(', ')} resume(s) into: ${outputPath}`);
+    console.log('Review it, then replace the data file with it.');
 }
 
 async function main() {
@@ -216,7 +393,6 @@ async function main() {
 
     // Set defaults
     const dataPath = options.data || path.join(scriptDir, 'cv_data.json');
-    const templatePath = options.template || path.join(scriptDir, 'templates', 'cv_template.html');
 
     // Validate inputs
     if (!fs.existsSync(dataPath)) {
@@ -224,24 +400,120 @@ async function main() {
         process.exit(1);
     }
 
-    if (!fs.existsSync(templatePath)) {
-        console.error(`Error: Template file not found: ${templatePath}`);
-        process.exit(1);
+    let templatePath = null;
+    const convertOnly = options.exportJsonResume || options.importJsonResume.length > 0 || options.exportEuropass;
+    if (!options.validate && !options.translationReport && !options.listProfiles && !options.migrateDates && !convertOnly) {
+        try {
+            templatePath = resolveTemplate(options.template);
+        } catch (err) {
+            console.error(`Error: ${err.message}`);
+            process.exit(1);
+        }
     }
 
     // Load data
     console.log(`Loading data from: ${dataPath}`);
     const rawData = JSON.parse(fs.readFileSync(dataPath, 'utf-8'));
 
+    // Validate data against the schema
+    const validation = validateData(rawData);
+    if (!validation.valid) {
+        console.error(`Error: ${path.basename(dataPath)} does not match the schema:`);
+        console.error(formatValidationErrors(validation.errors));
+        process.exit(1);
+    }
+
+    if (options.validate) {
+        console.log(`${path.basename(dataPath)} is valid.`);
+        return;
+    }
+
+    if (options.migrateDates) {
+        const migrated = migrateDates(rawData, getLanguages(rawData));
+        if (migrated > 0) {
+            fs.writeFileSync(dataPath, JSON.stringify(rawData, null, 2), 'utf-8');
+        }
+        console.log(`Converted the dates of ${migrated} entries in ${path.basename(dataPath)}.`);
+        return;
+    }
+
+    // Ids generated here only last for this run; the editor server stores them in the file
+    const generatedIds = assignItemIds(rawData);
+    if (generatedIds > 0) {
+        console.warn(`Warning: ${generatedIds} entries have no id, start the editor once to store stable ids`);
+    }
+
+    if (options.exportJsonResume) {
+        exportJSONResume(rawData, options, scriptDir);
+        return;
+    }
+
+    if (options.exportEuropass) {
+        exportEuropass(rawData, options, scriptDir);
+        return;
+    }
+
+    if (options.importJsonResume.length > 0) {
+        importJSONResume(rawData, options, dataPath);
+        return;
+    }
+
+    if (options.translationReport) {
+        const status = getTranslationStatus(rawData);
+        console.log(formatTranslationStatus(status));
+        process.exit(status.complete ? 0 : 1);
+    }
+
+    if (options.listProfiles) {
+        const profiles = listProfiles(rawData);
+        if (profiles.length === 0) {
+            console.log('No profiles defined.');
+        }
+        for (const profile of profiles) {
+            console.log(`${profile.id}    ${profile.label}`);
+        }
+        return;
+    }
+
+    if (options.profile) {
+        if (!rawData.profiles?.[options.profile]) {
+            const available = listProfiles(rawData).map(p => p.id).join(', ') || 'none';
+            console.error(`Error: Unknown profile '${options.profile}' (available: ${available})`);
+            process.exit(1);
+        }
+        console.log(`Applying profile: ${options.profile}`);
+        for (const missing of findMissingItems(rawData, options.profile)) {
+            console.warn(`  Warning: Profile refers to an entry that no longer exists (${missing})`);
+        }
+    }
+
     console.log(`Loading template: ${templatePath}`);
+    if (options.format === 'pdf' || options.html) {
+        // Fonts the template needs but that aren't self-hosted depend on the machine
+        for (const problem of checkTemplateFonts(templatePath)) {
+            console.warn(`  Warning: Font check: ${problem}`);
+        }
+    }
 
-    // Generate for each requested language
-    for (const lang of options.langs) {
-        if (!['en', 'nl'].includes(lang)) {
-            console.warn(`Warning: Unknown language '${lang}', skipping...`);
-            continue;
+    // Resolve requested languages against the ones defined in the data
+    const languages = getLanguages(rawData);
+    if (options.langs.length === 0) {
+        options.langs = [languages[0]];
+    } else if (options.langs.includes('all')) {
+        options.langs = languages;
+    }
+
+    // Generate for each requested language, sharing one browser
+    try {
+        for (const lang of options.langs) {
+            if (!languages.includes(lang)) {
+                console.warn(`Warning: Unknown language '${lang}' (available: ${languages.join(', ')}), skipping...`);
+                continue;
+            }
+            await generateForLanguage(rawData, templatePath, lang, options, scriptDir);
         }
-        await generateForLanguage(rawData, templatePath, lang, options, scriptDir);
+    } finally {
+        await closeBrowser();
     }
 
     console.log('\nDone!');
@@ -1,6 +1,13 @@
 #!/usr/bin/env python3
 """
-CV Generator - Converts JSON data + HTML template to PDF
+CV Generator - Deprecated Python entry point, runs the Node.js generator
+
+The CV templates need the localized data, citation styles, publication lists and
+self-hosted fonts that generate_cv_lib.js prepares, so this script no longer
+renders them itself. It passes its options (and any other generate_cv.js option)
+on to `node generate_cv.js`. Use that directly:
+
+    node generate_cv.js --help
 
 Usage:
     python generate_cv.py                           # Generate PDF from default data
@@ -10,135 +17,57 @@ Usage:
     python generate_cv.py --html                    # Also output HTML file
 
 Requirements:
-    pip install jinja2 weasyprint
-
-Note: On macOS, you may need to install additional dependencies:
-    brew install pango cairo libffi
+    Node.js and the packages of package.json (npm install)
 """
 
 import argparse
-import json
+import shutil
+import subprocess
 import sys
 from pathlib import Path
 
-try:
-    from jinja2 import Environment, FileSystemLoader
-except ImportError:
-    print("Error: jinja2 not installed. Run: pip install jinja2")
-    sys.exit(1)
-
-try:
-    from weasyprint import HTML, CSS
-except ImportError:
-    print("Error: weasyprint not installed. Run: pip install weasyprint")
-    print("On macOS, also run: brew install pango cairo libffi")
-    sys.exit(1)
-
-
-def load_json_data(json_path: Path) -> dict:
-    """Load CV data from JSON file."""
-    with open(json_path, 'r', encoding='utf-8') as f:
-        return json.load(f)
-
-
-def render_template(template_dir: Path, template_name: str, data: dict) -> str:
-    """Render Jinja2 template with data."""
-    env = Environment(loader=FileSystemLoader(template_dir))
-    template = env.get_template(template_name)
-    return template.render(**data)
-
-
-def generate_pdf(html_content: str, output_path: Path, base_url: str = None):
-    """Convert HTML to PDF using WeasyPrint."""
-    html = HTML(string=html_content, base_url=base_url)
-
-    # Additional CSS for PDF rendering with proper fonts
-    extra_css = CSS(string="""
-        @import url('https://fonts.googleapis.com/css2?family=Cormorant+Garamond:wght@400;500;600&family=Source+Sans+3:wght@300;400;500;600&display=swap');
-    """)
-
-    html.write_pdf(output_path, stylesheets=[extra_css])
-    print(f"PDF generated: {output_path}")
-
 
 def main():
     parser = argparse.ArgumentParser(
-        description='Generate a professional CV PDF from JSON data and HTML template',
+        description='Deprecated: runs node generate_cv.js with the given options',
         formatter_class=argparse.RawDescriptionHelpFormatter,
         epilog="""
 Examples:
   python generate_cv.py
   python generate_cv.py --data cv_data.json --output stefan_kulk_cv.pdf
   python generate_cv.py --html  # Also output intermediate HTML
+  python generate_cv.py --lang nl --profile academic   # Passed on as well
         """
     )
 
     # Get the script's directory as default base
     script_dir = Path(__file__).parent.resolve()
 
-    parser.add_argument(
-        '--data', '-d',
-        type=Path,
-        default=script_dir / 'cv_data.json',
-        help='Path to JSON data file (default: cv_data.json)'
-    )
-    parser.add_argument(
-        '--template', '-t',
-        type=Path,
-        default=script_dir / 'templates' / 'cv_template.html',
-        help='Path to HTML template (default: templates/cv_template.html)'
-    )
-    parser.add_argument(
-        '--output', '-o',
-        type=Path,
-        default=None,
-        help='Output PDF filename (default: cv_<name>.pdf)'
-    )
-    parser.add_argument(
-        '--html',
-        action='store_true',
-        help='Also output the rendered HTML file'
-    )
+    parser.add_argument('--data', '-d', type=Path, help='Path to JSON data file (default: cv_data.json)')
+    parser.add_argument('--template', '-t', help='Template name or path to an HTML file (default: classic)')
+    parser.add_argument('--output', '-o', type=Path, help='Output PDF filename (default: cv_<name>_<lang>.pdf)')
+    parser.add_argument('--html', action='store_true', help='Also output the rendered HTML file')
 
-    args = parser.parse_args()
+    args, other = parser.parse_known_args()
 
-    # Validate inputs
-    if not args.data.exists():
-        print(f"Error: Data file not found: {args.data}")
+    node = shutil.which('node')
+    if not node:
+        print("Error: Node.js not found. Install it and run: npm install")
         sys.exit(1)
 
-    if not args.template.exists():
-        print(f"Error: Template file not found: {args.template}")
-        sys.exit(1)
-
-    # Load data
-    print(f"Loading data from: {args.data}")
-    data = load_json_data(args.data)
-
-    # Render template
-    print(f"Rendering template: {args.template}")
-    template_dir = args.template.parent
-    template_name = args.template.name
-    html_content = render_template(template_dir, template_name, data)
+    print("Note: generate_cv.py is deprecated, use: node generate_cv.js", file=sys.stderr)
 
-    # Determine output filename
+    command = [node, str(script_dir / 'generate_cv.js')]
+    if args.data:
+        command += ['--data', str(args.data)]
+    if args.template:
+        command += ['--template', args.template]
     if args.output:
-        output_path = args.output
-    else:
-        name = data.get('personal', {}).get('name', 'cv').lower().replace(' ', '_')
-        output_path = script_dir / f'cv_{name}.pdf'
-
-    # Optionally save HTML
+        command += ['--output', str(args.output)]
     if args.html:
-        html_path = output_path.with_suffix('.html')
-        with open(html_path, 'w', encoding='utf-8') as f:
-            f.write(html_content)
-        print(f"HTML generated: {html_path}")
-
-    # Generate PDF
-    generate_pdf(html_content, output_path, base_url=str(script_dir))
+        command.append('--html')
 
-    print("\nDone!")
+    sys.exit(subprocess.run(command + other, cwd=script_dir).returncode)
 
 
 if __name__ == '__main__':
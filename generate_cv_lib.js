@@ -6,30 +6,327 @@
 const fs = require('fs');
 const path = require('path');
 const nunjucks = require('nunjucks');
+const Ajv = require('ajv');
+const { withPage, waitForRender } = require('./browser_pool');
+const { applyProfile } = require('./cv_profiles');
+const { resolveCitationStyle, formatCitation } = require('./citation_styles');
+const { buildPublicationLists } = require('./publication_categories');
+const { addDateLabels } = require('./cv_dates');
+const { documentMetadata, readPageMetadata, applyPDFMetadata, countPages, verifyPDF } = require('./pdf_metadata');
+const { DEFAULT_PAGE_SETTINGS, KEEP_TOGETHER_CSS, pageViewport, pdfOptions, fitScales } = require('./page_settings');
+const { fontFaceCSS, checkPageFonts } = require('./font_assets');
+
+const SCHEMA_FILE = path.join(__dirname, 'cv_data.schema.json');
+
+let schemaValidator = null;
 
 /**
- * Recursively localize all values in an object
- * Extracts language-specific values from {en: ..., nl: ...} objects
+ * Build the field path an Ajv error refers to
+ */
+function errorPath(err) {
+    if (err.propertyName !== undefined) {
+        return `${err.instancePath}/${err.propertyName}`;
+    }
+    if (err.keyword === 'required') {
+        return `${err.instancePath}/${err.params.missingProperty}`;
+    }
+    if (err.keyword === 'additionalProperties') {
+        return `${err.instancePath}/${err.params.additionalProperty}`;
+    }
+    return err.instancePath || '/';
+}
+
+/**
+ * Validate CV data against cv_data.schema.json
+ * Returns { valid, errors } where each error has a JSON pointer path and a message
  */
-function localizeData(data, lang) {
+function validateData(data) {
+    if (!schemaValidator) {
+        const ajv = new Ajv({ allErrors: true, strict: false });
+        schemaValidator = ajv.compile(JSON.parse(fs.readFileSync(SCHEMA_FILE, 'utf-8')));
+    }
+
+    if (schemaValidator(data)) {
+        return { valid: true, errors: [] };
+    }
+
+    // propertyNames wraps a nested error that already names the offending key
+    const errors = schemaValidator.errors
+        .filter(err => err.keyword !== 'propertyNames')
+        .map(err => ({ path: errorPath(err), message: err.message }));
+
+    return { valid: false, errors };
+}
+
+/**
+ * Format validation errors as printable lines
+ */
+function formatValidationErrors(errors) {
+    return errors.map(err => `  ${err.path}: ${err.message}`).join('\n');
+}
+
+/**
+ * Get the language codes defined in the data
+ * The keys of `translations` decide which languages exist; the first one is the default
+ */
+function getLanguages(data) {
+    const languages = Object.keys((data && data.translations) || {});
+    return languages.length > 0 ? languages : ['en'];
+}
+
+/**
+ * Get the display name of a language in that language itself (e.g. 'Nederlands' for nl)
+ * A `language_name` translation key takes precedence over the built-in name
+ */
+function getLanguageLabel(data, lang) {
+    const t = (data && data.translations && data.translations[lang]) || {};
+    if (t.language_name) {
+        return t.language_name;
+    }
+    try {
+        const name = new Intl.DisplayNames([lang], { type: 'language' }).of(lang);
+        return name.charAt(0).toLocaleUpperCase(lang) + name.slice(1);
+    } catch (e) {
+        return lang.toUpperCase();
+    }
+}
+
+/**
+ * Translation fallback policies for values missing in the requested language
+ *   fallback - silently use the value from another language
+ *   mark     - use the other language and highlight it (for HTML previews)
+ *   error    - refuse to render
+ */
+const FALLBACK_POLICIES = ['fallback', 'mark', 'error'];
+
+/**
+ * Fallback policy for output that can't show the highlight (JSON, XML, Word, text)
+ * 'mark' would put HTML markup into the values, so it becomes 'fallback'
+ */
+function textFallback(fallback) {
+    return fallback === 'mark' ? 'fallback' : fallback;
+}
+
+/**
+ * Check whether an object is a language object ({en: ..., nl: ...})
+ * All keys must be known language codes with string or array values
+ */
+function isLocalized(value, languages) {
+    if (value === null || typeof value !== 'object' || Array.isArray(value)) {
+        return false;
+    }
+    const entries = Object.entries(value);
+    return entries.length > 0 && entries.every(([key, v]) =>
+        languages.includes(key) && (v === null || typeof v === 'string' || Array.isArray(v))
+    );
+}
+
+/**
+ * Check whether a localized value counts as missing
+ */
+function isMissingTranslation(value) {
+    return value === undefined || value === null || value === '' ||
+        (Array.isArray(value) && value.length === 0);
+}
+
+/**
+ * Wrap a fallback value so it stands out in the rendered HTML
+ */
+function markFallback(value, fromLang, lang) {
+    if (Array.isArray(value)) {
+        return value.map(item => markFallback(item, fromLang, lang));
+    }
+    return `<span class="translation-fallback" lang="${fromLang}" title="Missing ${lang} translation, showing ${fromLang}" ` +
+        `style="background: #fefcbf; outline: 1px dashed #d69e2e;">${value}</span>`;
+}
+
+/**
+ * Pick the value for `lang` from a language object, applying the fallback policy
+ */
+function pickTranslation(obj, lang, context, fieldPath) {
+    const value = obj[lang];
+    if (!isMissingTranslation(value)) {
+        return value;
+    }
+
+    const fromLang = context.languages.find(code => code !== lang && !isMissingTranslation(obj[code]));
+    if (!fromLang) {
+        // Nothing to fall back to; keep an empty value of the same type
+        if (value !== undefined && value !== null) return value;
+        return Object.values(obj).some(Array.isArray) ? [] : '';
+    }
+
+    context.missing.push(fieldPath);
+    if (context.fallback === 'mark') {
+        return markFallback(obj[fromLang], fromLang, lang);
+    }
+    return obj[fromLang];
+}
+
+/**
+ * Localize a value recursively, tracking the field path for fallback reporting
+ */
+function localizeValue(data, lang, context, fieldPath) {
     if (Array.isArray(data)) {
-        return data.map(item => localizeData(item, lang));
+        return data.map((item, i) => localizeValue(item, lang, context, `${fieldPath}/${i}`));
     }
     if (data !== null && typeof data === 'object') {
-        // Check if this is a language object itself (has lang key with string/array value)
-        if (data[lang] !== undefined && (typeof data[lang] === 'string' || Array.isArray(data[lang]))) {
-            return data[lang];
+        if (isLocalized(data, context.languages)) {
+            return pickTranslation(data, lang, context, `${fieldPath}/${lang}`);
         }
-        // Otherwise recurse into the object
         const result = {};
         for (const [key, value] of Object.entries(data)) {
-            result[key] = localizeData(value, lang);
+            result[key] = localizeValue(value, lang, context, `${fieldPath}/${key}`);
         }
         return result;
     }
     return data;
 }
 
+/**
+ * Recursively localize all values in an object
+ * Extracts language-specific values from {en: ..., nl: ..., ...} objects
+ *
+ * Options:
+ *   languages - language codes to recognise (default: keys of data.translations)
+ *   fallback  - policy for missing values, one of FALLBACK_POLICIES (default: 'fallback')
+ */
+function localizeData(data, lang, options = {}) {
+    const fallback = options.fallback || 'fallback';
+    if (!FALLBACK_POLICIES.includes(fallback)) {
+        throw new Error(`Unknown translation fallback '${fallback}' (expected one of: ${FALLBACK_POLICIES.join(', ')})`);
+    }
+
+    const context = {
+        languages: options.languages || getLanguages(data),
+        fallback,
+        missing: []
+    };
+    // Profiles are variants of the data, not content: they are applied before rendering
+    const { profiles, ...content } = data;
+    const result = localizeValue(content, lang, context, '');
+
+    if (fallback === 'error' && context.missing.length > 0) {
+        throw new Error(`Missing ${lang} translations:\n${context.missing.map(p => `  ${p}`).join('\n')}`);
+    }
+    return result;
+}
+
+/**
+ * Get the UI labels (`t`) for a language, filling missing keys from the other languages
+ * Applies the same fallback policy as localizeData
+ */
+function localizeTranslations(data, lang, options = {}) {
+    const languages = options.languages || getLanguages(data);
+    const fallback = options.fallback || 'fallback';
+    const translations = data.translations || {};
+
+    const table = { ...(translations[lang] || {}) };
+    const missing = [];
+    for (const code of languages) {
+        for (const [key, value] of Object.entries(translations[code] || {})) {
+            if (isMissingTranslation(table[key]) && !isMissingTranslation(value)) {
+                table[key] = fallback === 'mark' ? markFallback(value, code, lang) : value;
+                missing.push(`/translations/${lang}/${key}`);
+            }
+        }
+    }
+
+    if (fallback === 'error' && missing.length > 0) {
+        throw new Error(`Missing ${lang} translations:\n${missing.map(p => `  ${p}`).join('\n')}`);
+    }
+    return table;
+}
+
+/**
+ * Report translation completeness per language
+ * Lists field paths that are missing or empty in a language, and localized
+ * lists whose length differs from the default language (e.g. responsibilities)
+ */
+function getTranslationStatus(data) {
+    const languages = getLanguages(data);
+    const byLanguage = {};
+    for (const lang of languages) {
+        byLanguage[lang] = { missing: [], empty: [], mismatched: [] };
+    }
+
+    // pathFor maps a language code to the field path reported for it
+    const checkLocalized = (obj, pathFor) => {
+        const reference = languages.find(code => Array.isArray(obj[code]));
+        for (const lang of languages) {
+            const value = obj[lang];
+            const langPath = pathFor(lang);
+            if (value === undefined || value === null) {
+                byLanguage[lang].missing.push(langPath);
+            } else if (value === '') {
+                byLanguage[lang].empty.push(langPath);
+            } else if (Array.isArray(value)) {
+                value.forEach((item, i) => {
+                    if (item === '') byLanguage[lang].empty.push(`${langPath}/${i}`);
+                });
+                const expected = obj[reference].length;
+                if (lang !== reference && value.length !== expected) {
+                    byLanguage[lang].mismatched.push({
+                        path: langPath,
+                        length: value.length,
+                        expected,
+                        reference
+                    });
+                }
+            }
+        }
+    };
+
+    const walk = (value, fieldPath) => {
+        if (Array.isArray(value)) {
+            value.forEach((item, i) => walk(item, `${fieldPath}/${i}`));
+        } else if (value !== null && typeof value === 'object') {
+            if (isLocalized(value, languages)) {
+                checkLocalized(value, lang => `${fieldPath}/${lang}`);
+                return;
+            }
+            for (const [key, child] of Object.entries(value)) {
+                if (fieldPath === '' && (key === 'translations' || key === 'profiles')) continue;
+                walk(child, `${fieldPath}/${key}`);
+            }
+        }
+    };
+    walk(data, '');
+
+    // UI labels: every key used by any language should exist in all of them
+    const translations = data.translations || {};
+    const keys = new Set(languages.flatMap(code => Object.keys(translations[code] || {})));
+    for (const key of keys) {
+        checkLocalized(
+            Object.fromEntries(languages.map(code => [code, (translations[code] || {})[key]])),
+            lang => `/translations/${lang}/${key}`
+        );
+    }
+
+    const count = lang => byLanguage[lang].missing.length + byLanguage[lang].empty.length + byLanguage[lang].mismatched.length;
+    return {
+        languages,
+        complete: languages.every(lang => count(lang) === 0),
+        byLanguage
+    };
+}
+
+/**
+ * Format a translation status report as printable lines
+ */
+function formatTranslationStatus(status) {
+    const lines = [`Translation status (${status.languages.join(', ')})`];
+    for (const lang of status.languages) {
+        const { missing, empty, mismatched } = status.byLanguage[lang];
+        const total = missing.length + empty.length + mismatched.length;
+        lines.push(`  ${lang.toUpperCase()}: ${total === 0 ? 'complete' : `${total} issue(s)`}`);
+        missing.forEach(p => lines.push(`    missing   ${p}`));
+        empty.forEach(p => lines.push(`    empty     ${p}`));
+        mismatched.forEach(m => lines.push(`    length    ${m.path} (${m.length} items, ${m.reference} has ${m.expected})`));
+    }
+    return lines.join('\n');
+}
+
 /**
  * Convert image to base64 data URL
  */
@@ -45,22 +342,36 @@ function imageToBase64(imagePath) {
 }
 
 /**
- * Render HTML from template and data
+ * Localized data of one language as the renderers see it
+ * Adds t (translations), lang, citationStyle, publicationLists and visibility,
+ * date labels, meta (document title, author, ... for <head>), the self-hosted fonts as
+ * fontFaces (see font_assets.js) and the photo as a data URL.
+ * options.fallback selects the translation fallback policy (see FALLBACK_POLICIES)
+ * options.profile names a profile from data.profiles to apply first
+ * options.citationStyle overrides the profile's citation style (see citation_styles.js)
+ * options.fontUrl links the font files at that URL instead of inlining them (previews)
  */
-function renderHTML(rawData, templatePath, lang, baseDir) {
-    // Configure nunjucks
-    const env = nunjucks.configure(path.dirname(templatePath), {
-        autoescape: false,
-        trimBlocks: true,
-        lstripBlocks: true,
-    });
+function prepareData(baseData, lang, baseDir, options = {}) {
+    // Apply the tailored profile to a copy of the data
+    const rawData = applyProfile(baseData, options.profile);
+    const citationStyle = resolveCitationStyle(options.citationStyle, baseData.profiles?.[options.profile]);
 
     // Localize all data for this language
-    const data = localizeData(rawData, lang);
+    const localizeOptions = { fallback: options.fallback };
+    const data = localizeData(rawData, lang, localizeOptions);
 
     // Add translations object as 't' for template access
-    data.t = rawData.translations[lang] || rawData.translations.en;
+    data.t = localizeTranslations(rawData, lang, localizeOptions);
     data.lang = lang;
+    data.citationStyle = citationStyle;
+    // Periods, durations and presentation dates in this language
+    addDateLabels(data, lang, data.t, options.now);
+    // Publication categories in display order, with their label and entries
+    data.publicationLists = buildPublicationLists(rawData, data.publications, data.t);
+    // Title, author, subject and keywords of the document (see pdf_metadata.js)
+    data.meta = documentMetadata(data);
+    // @font-face rules with the font files inlined or linked, for <style>{{ fontFaces }}</style>
+    data.fontFaces = fontFaceCSS(options.fontUrl);
 
     // Add visibility settings (default all to true if not present)
     data.visibility = rawData.sectionVisibility || {
@@ -83,6 +394,24 @@ function renderHTML(rawData, templatePath, lang, baseDir) {
             data.personal.photo = base64Photo;
         }
     }
+    return data;
+}
+
+/**
+ * Render HTML from template and data
+ * Takes the options of prepareData
+ */
+function renderHTML(baseData, templatePath, lang, baseDir, options = {}) {
+    // Configure nunjucks
+    const env = nunjucks.configure(path.dirname(templatePath), {
+        autoescape: false,
+        trimBlocks: true,
+        lstripBlocks: true,
+    });
+    // {{ pub | cite('articles', citationStyle) }}
+    env.addFilter('cite', (pub, category, style) => formatCitation(pub, category, style, { html: true }));
+
+    const data = prepareData(baseData, lang, baseDir, options);
 
     // Render template with nunjucks
     const templateName = path.basename(templatePath);
@@ -90,88 +419,90 @@ function renderHTML(rawData, templatePath, lang, baseDir) {
 }
 
 /**
- * Generate PDF from HTML content
+ * Render HTML content to a PDF on a pooled browser page
+ * The PDF is laid out with the page settings (see page_settings.js), is tagged,
+ * has an outline from the headings and gets the title, author, subject, keywords
+ * and language of the page. Fonts that didn't load are reported as warnings.
+ * Returns { pdf, pages, scale, warnings }; the warnings are printed as well.
  */
-async function generatePDF(htmlContent, outputPath, baseDir) {
-    let puppeteer;
-    try {
-        puppeteer = require('puppeteer');
-    } catch (e) {
-        throw new Error('puppeteer not installed. Run: npm install puppeteer');
-    }
+async function renderPDF(htmlContent, baseDir, outputPath = null, pageSettings = DEFAULT_PAGE_SETTINGS) {
+    const { pdf, pages, scale, metadata, fontProblems } = await withPage(async (page) => {
+        // Lay the page out at the size of its paper format
+        await page.setViewport(pageViewport(pageSettings));
 
-    const browser = await puppeteer.launch({
-        headless: 'new',
-        args: ['--no-sandbox', '--disable-setuid-sandbox']
-    });
-    const page = await browser.newPage();
+        // Set base URL for relative paths (like images)
+        await page.setContent(htmlContent, {
+            waitUntil: 'networkidle0',
+            baseURL: `file://${baseDir}/`
+        });
+        if (pageSettings.keepTogether) {
+            await page.addStyleTag({ content: KEEP_TOGETHER_CSS });
+        }
 
-    // Set viewport for consistent rendering
-    await page.setViewport({ width: 794, height: 1123 }); // A4 at 96 DPI
+        // Wait until fonts and images are in and a frame has been painted
+        await waitForRender(page);
+        const pageMetadata = await readPageMetadata(page);
+        const fontProblems = await checkPageFonts(page);
 
-    // Set base URL for relative paths (like images)
-    await page.setContent(htmlContent, {
-        waitUntil: 'networkidle0',
-        baseURL: `file://${baseDir}/`
+        // With fitToPages, try smaller scales until the CV fits
+        let result = null;
+        for (const tryScale of fitScales(pageSettings)) {
+            const buffer = await page.pdf({
+                ...pdfOptions(pageSettings, pageMetadata, tryScale),
+                tagged: true,
+                outline: true
+            });
+            result = { pdf: buffer, pages: await countPages(buffer), scale: tryScale, metadata: pageMetadata, fontProblems };
+            if (!pageSettings.fitToPages || result.pages <= pageSettings.fitToPages) break;
+        }
+        return result;
     });
 
-    // Wait for fonts to load
-    await page.evaluateHandle('document.fonts.ready');
-
-    // Small delay to ensure rendering is complete
-    await new Promise(resolve => setTimeout(resolve, 500));
+    const warnings = fontProblems.map(problem => `Font check: ${problem}`);
+    if (pageSettings.fitToPages && pages > pageSettings.fitToPages) {
+        warnings.push(`The CV does not fit on ${pageSettings.fitToPages} page(s): ${pages} pages at the smallest scale (${scale})`);
+    }
+    const result = await applyPDFMetadata(pdf, metadata);
+    for (const problem of await verifyPDF(result, metadata)) {
+        warnings.push(`PDF ${problem}`);
+    }
+    warnings.forEach(warning => console.warn(`  Warning: ${warning}`));
 
-    const pdfBuffer = await page.pdf({
-        path: outputPath,
-        format: 'A4',
-        margin: { top: '12mm', right: '14mm', bottom: '12mm', left: '14mm' },
-        printBackground: true,
-    });
+    if (outputPath) {
+        fs.writeFileSync(outputPath, result);
+    }
+    return { pdf: result, pages, scale, warnings };
+}
 
-    await browser.close();
-    return pdfBuffer;
+/**
+ * Generate PDF from HTML content
+ * Returns { pdf, pages, scale, warnings } (see renderPDF)
+ */
+async function generatePDF(htmlContent, outputPath, baseDir, pageSettings) {
+    return renderPDF(htmlContent, baseDir, outputPath, pageSettings);
 }
 
 /**
  * Generate PDF and return as buffer (for streaming)
+ * Returns { pdf, pages, scale, warnings } (see renderPDF)
  */
-async function generatePDFBuffer(htmlContent, baseDir) {
-    let puppeteer;
-    try {
-        puppeteer = require('puppeteer');
-    } catch (e) {
-        throw new Error('puppeteer not installed. Run: npm install puppeteer');
-    }
-
-    const browser = await puppeteer.launch({
-        headless: 'new',
-        args: ['--no-sandbox', '--disable-setuid-sandbox']
-    });
-    const page = await browser.newPage();
-
-    await page.setViewport({ width: 794, height: 1123 });
-
-    await page.setContent(htmlContent, {
-        waitUntil: 'networkidle0',
-        baseURL: `file://${baseDir}/`
-    });
-
-    await page.evaluateHandle('document.fonts.ready');
-    await new Promise(resolve => setTimeout(resolve, 500));
-
-    const pdfBuffer = await page.pdf({
-        format: 'A4',
-        margin: { top: '12mm', right: '14mm', bottom: '12mm', left: '14mm' },
-        printBackground: true,
-    });
-
-    await browser.close();
-    return pdfBuffer;
+async function generatePDFBuffer(htmlContent, baseDir, pageSettings) {
+    return renderPDF(htmlContent, baseDir, null, pageSettings);
 }
 
 module.exports = {
+    validateData,
+    formatValidationErrors,
+    getLanguages,
+    getLanguageLabel,
+    FALLBACK_POLICIES,
+    textFallback,
     localizeData,
+    localizeTranslations,
+    getTranslationStatus,
+    formatTranslationStatus,
     imageToBase64,
+    prepareData,
     renderHTML,
     generatePDF,
     generatePDFBuffer
@@ -6,8 +6,40 @@
 
 const fs = require('fs');
 const path = require('path');
+const crypto = require('crypto');
 const nunjucks = require('nunjucks');
-const { localizeData } = require('./generate_cv_lib');
+const {
+    validateData,
+    formatValidationErrors,
+    getLanguages,
+    getLanguageLabel,
+    localizeData,
+    localizeTranslations,
+    getTranslationStatus,
+    renderHTML,
+    generatePDFBuffer
+} = require('./generate_cv_lib');
+const { closeBrowser } = require('./browser_pool');
+const { resolveTemplate } = require('./template_registry');
+const { resolvePageSettings } = require('./page_settings');
+const { checkTemplateFonts } = require('./font_assets');
+const {
+    summarize,
+    pageUrl,
+    socialTags,
+    personSchema,
+    publicationSchemas,
+    eventSchemas,
+    jsonLd,
+    buildSitemap,
+    buildRobots
+} = require('./site_metadata');
+const { FEED_TYPES, tagUri, feedItems, toAtom, toRSS } = require('./feeds');
+const { assignItemIds } = require('./item_ids');
+const { CITATION_STYLES, resolveCitationStyle, formatCitation, formatCitationParts } = require('./citation_styles');
+const { buildPublicationLists } = require('./publication_categories');
+const { addDateLabels, compareByDate } = require('./cv_dates');
+const { listExportEntries, citationKeys, bibtexEntry, toBibTeX, toRIS, toCSLJSON } = require('./bibliography_export');
 
 // Configuration
 const BASE_DIR = __dirname;
@@ -15,8 +47,65 @@ const DATA_FILE = path.join(BASE_DIR, 'cv_data.json');
 const TEMPLATES_DIR = path.join(BASE_DIR, 'templates');
 const OUTPUT_DIR = path.join(BASE_DIR, 'docs');
 
-// Languages to generate
-const LANGUAGES = ['en', 'nl'];
+// Domain of the published site (GitHub Pages CNAME), for absolute URLs in metadata and the sitemap
+const SITE_DOMAIN = 'stefankulk.nl';
+const SITE_URL = `https://${SITE_DOMAIN}`;
+
+// Translation fallback policy: 'fallback' (default) or 'error' to fail the build
+// on missing translations, e.g. node generate_portfolio.js --fallback error
+const FALLBACK_POLICIES = ['fallback', 'error'];
+const fallbackArg = process.argv.indexOf('--fallback');
+const FALLBACK = fallbackArg > -1 ? process.argv[fallbackArg + 1] : 'fallback';
+
+// Citation style of the publication lists, e.g. node generate_portfolio.js --citation-style apa
+const citationStyleArg = process.argv.indexOf('--citation-style');
+const CITATION_STYLE = citationStyleArg > -1 ? process.argv[citationStyleArg + 1] : undefined;
+
+// Skip rendering the CV PDFs (they need Chromium), e.g. node generate_portfolio.js --no-pdf
+const SKIP_PDF = process.argv.includes('--no-pdf');
+
+// Pages to generate, with their output path (relative to OUTPUT_DIR) per language.
+// The default language is published at the root URLs, other languages next to it.
+// title and description are used for <title>, the meta description and social media cards;
+// schemas gives the structured data (JSON-LD) of the page.
+const PAGES = [
+    {
+        name: 'home',
+        label: 'Home',
+        template: 'portfolio_home.html',
+        outputPath: (lang, isDefault) => isDefault ? 'index.html' : `${lang}/index.html`,
+        title: cv => [cv.personal.name, cv.personal.credentials].filter(part => part).join(' - '),
+        description: cv => summarize(cv.profile) || `${cv.personal.name}, ${cv.personal.credentials}`,
+        schemas: (cv, seo) => [personSchema(cv, { url: seo.siteUrl, image: seo.image })]
+    },
+    {
+        name: 'cv',
+        label: 'CV',
+        template: 'portfolio_cv.html',
+        outputPath: (lang, isDefault) => isDefault ? 'cv/index.html' : `cv/${lang}.html`,
+        title: cv => `CV - ${cv.personal.name}`,
+        description: cv => `${cv.t.cv_footer || 'Curriculum Vitae'} - ${cv.personal.name}, ${cv.personal.credentials}`,
+        schemas: () => []
+    },
+    {
+        name: 'publications',
+        label: 'Publications',
+        template: 'portfolio_publications.html',
+        outputPath: (lang, isDefault) => isDefault ? 'publications/index.html' : `publications/${lang}.html`,
+        title: cv => `${cv.t.publications_page_title || 'Publications'} - ${cv.personal.name}`,
+        description: cv => `${cv.t.publications_intro || 'Publications'} - ${cv.personal.name}`,
+        schemas: (cv, seo) => publicationSchemas(cv, seo.url)
+    },
+    {
+        name: 'presentations',
+        label: 'Presentations',
+        template: 'portfolio_presentations.html',
+        outputPath: (lang, isDefault) => isDefault ? 'presentations/index.html' : `presentations/${lang}.html`,
+        title: cv => `${cv.t.presentations_page_title || 'Presentations'} - ${cv.personal.name}`,
+        description: cv => `${cv.t.presentations_intro || 'Presentations'} - ${cv.personal.name}`,
+        schemas: (cv, seo) => eventSchemas(cv, seo.url)
+    }
+];
 
 /**
  * Ensure directory exists
@@ -45,28 +134,231 @@ function setupNunjucks() {
         lstripBlocks: true,
     });
     env.addFilter('join', (arr, sep) => Array.isArray(arr) ? arr.join(sep) : arr);
+    // Citations are escaped by citation_styles.js
+    env.addFilter('cite', (pub, category, style) =>
+        new nunjucks.runtime.SafeString(formatCitation(pub, category, style, { html: true })));
+    // Everything after the title, for cards that show title and authors separately
+    env.addFilter('citeSource', (pub, category, style) =>
+        new nunjucks.runtime.SafeString(formatCitationParts(pub, category, style, { html: true }).source));
     return env;
 }
 
 /**
- * Render a portfolio template
+ * Write the publication lists for reference managers and return the Cite texts per entry id
+ * The exports use the default language; titles of publications are not translated
+ */
+function writePublicationExports(data, site) {
+    const localized = localizeData(data, site.languages[0], { languages: site.languages, fallback: site.fallback });
+    const entries = listExportEntries(localized);
+    const dir = path.join(OUTPUT_DIR, 'publications');
+    ensureDir(dir);
+    fs.writeFileSync(path.join(dir, 'publications.bib'), toBibTeX(entries));
+    fs.writeFileSync(path.join(dir, 'publications.ris'), toRIS(entries));
+    fs.writeFileSync(path.join(dir, 'publications.json'), toCSLJSON(entries));
+
+    const keys = citationKeys(entries);
+    const citations = {};
+    for (const entry of entries) {
+        citations[entry.pub.id] = {
+            apa: formatCitation(entry.pub, entry.category, 'apa', { html: true }),
+            bibtex: bibtexEntry(entry, keys.get(entry.pub.id))
+        };
+    }
+    return { count: entries.length, citations };
+}
+
+/**
+ * Render the CV PDF of every language with the default CV template and return
+ * their paths relative to OUTPUT_DIR per language
+ * The file names carry a hash of the rendered HTML and the page settings, so a
+ * changed CV gets a new URL (and browsers and caches never serve an old
+ * version) while an unchanged CV keeps its URL. The template must only
+ * use self-hosted fonts (see font_assets.js).
+ */
+async function writeCVPDFs(data, site) {
+    const templatePath = resolveTemplate();
+    // Published PDFs must look the same wherever they are built
+    const fontProblems = checkTemplateFonts(templatePath);
+    if (fontProblems.length > 0) {
+        throw new Error(`fonts of the CV template don't resolve: ${fontProblems.join('; ')}`);
+    }
+    const pageSettings = resolvePageSettings(data);
+    const name = (data.personal?.name || 'cv').toLowerCase().replace(/\s+/g, '_');
+    const dir = path.join(OUTPUT_DIR, 'cv');
+    ensureDir(dir);
+
+    const pdfs = {};
+    for (const lang of site.languages) {
+        const html = renderHTML(data, templatePath, lang, BASE_DIR, {
+            fallback: site.fallback,
+            citationStyle: site.citationStyle
+        });
+        const { pdf, pages } = await generatePDFBuffer(html, BASE_DIR, pageSettings);
+        // Hash of what the PDF is made from; the PDF itself carries its creation time
+        const hash = crypto.createHash('sha256')
+            .update(html)
+            .update(JSON.stringify(pageSettings))
+            .digest('hex').slice(0, 10);
+        const file = `cv_${name}_${lang}.${hash}.pdf`;
+        fs.writeFileSync(path.join(dir, file), pdf);
+        pdfs[lang] = `cv/${file}`;
+        console.log(`  ✓ CV PDF (${lang.toUpperCase()}, ${pages} page${pages === 1 ? '' : 's'}): ${pdfs[lang]}`);
+    }
+    return pdfs;
+}
+
+/**
+ * Write the Atom and RSS feeds of the publications and presentations in every
+ * language and return them per language: [{ type, title, atom, rss }], with the
+ * paths relative to OUTPUT_DIR
  */
-function renderTemplate(env, templateName, data, lang, basePath) {
-    const localized = localizeData(data, lang);
-    localized.t = data.translations[lang] || data.translations.en;
+function writeFeeds(data, site) {
+    const { languages } = site;
+    const feeds = {};
+    for (const lang of languages) {
+        const localizeOptions = { languages, fallback: site.fallback };
+        const localized = localizeData(data, lang, localizeOptions);
+        localized.t = localizeTranslations(data, lang, localizeOptions);
+        addDateLabels(localized, lang, localized.t);
+        localized.publicationLists = buildPublicationLists(data, localized.publications, localized.t);
+
+        feeds[lang] = [];
+        for (const type of FEED_TYPES) {
+            const page = PAGES.find(p => p.name === type);
+            const pageLink = pageUrl(SITE_URL, pagePath(page, lang, languages));
+            const base = `feeds/${lang}/${type}`;
+            const feed = {
+                id: tagUri(SITE_DOMAIN, lang, type),
+                title: page.title(localized),
+                subtitle: localized.t[`${type}_intro`],
+                lang,
+                pageUrl: pageLink,
+                author: localized.personal.name,
+                items: feedItems(localized, type, {
+                    domain: SITE_DOMAIN,
+                    lang,
+                    pageUrl: pageLink,
+                    citationStyle: site.citationStyle
+                })
+            };
+            ensureDir(path.join(OUTPUT_DIR, 'feeds', lang));
+            fs.writeFileSync(path.join(OUTPUT_DIR, `${base}.atom`), toAtom({ ...feed, url: pageUrl(SITE_URL, `${base}.atom`) }));
+            fs.writeFileSync(path.join(OUTPUT_DIR, `${base}.rss`), toRSS({ ...feed, url: pageUrl(SITE_URL, `${base}.rss`) }));
+            feeds[lang].push({
+                type,
+                title: feed.title,
+                label: localized.t[`${type}_nav`] || page.label,
+                atom: `${base}.atom`,
+                rss: `${base}.rss`,
+                count: feed.items.length
+            });
+        }
+    }
+    return feeds;
+}
+
+/**
+ * Get the output path of a page in a language, relative to OUTPUT_DIR
+ */
+function pagePath(page, lang, languages) {
+    return page.outputPath(lang, lang === languages[0]);
+}
+
+/**
+ * URLs of a page in every language for hreflang links, with x-default for the default language
+ */
+function alternateUrls(page, languages) {
+    const alternates = languages.map(code => ({ lang: code, url: pageUrl(SITE_URL, pagePath(page, code, languages)) }));
+    return [...alternates, { lang: 'x-default', url: alternates[0].url }];
+}
+
+/**
+ * Metadata of a page for <head>: title, description, canonical URL, hreflang
+ * alternates, Open Graph/Twitter tags and JSON-LD (see site_metadata.js)
+ */
+function pageMetadata(page, localized, lang, languages) {
+    const seo = {
+        siteUrl: pageUrl(SITE_URL, ''),
+        url: pageUrl(SITE_URL, pagePath(page, lang, languages)),
+        image: pageUrl(SITE_URL, 'assets/images/portrait.jpeg'),
+        title: page.title(localized),
+        description: page.description(localized),
+        alternates: alternateUrls(page, languages)
+    };
+    seo.tags = socialTags({
+        type: page.name === 'home' ? 'profile' : 'website',
+        title: seo.title,
+        description: seo.description,
+        url: seo.url,
+        image: seo.image,
+        imageAlt: localized.personal.name,
+        siteName: localized.personal.name,
+        lang,
+        alternateLangs: languages.filter(code => code !== lang)
+    });
+    seo.jsonLd = jsonLd(page.schemas(localized, seo));
+    return seo;
+}
+
+/**
+ * Write sitemap.xml with every page in every language, and robots.txt
+ */
+function writeSitemap(languages) {
+    const pages = [];
+    for (const page of PAGES) {
+        const alternates = alternateUrls(page, languages);
+        for (const lang of languages) {
+            pages.push({ url: pageUrl(SITE_URL, pagePath(page, lang, languages)), alternates });
+        }
+    }
+    fs.writeFileSync(path.join(OUTPUT_DIR, 'sitemap.xml'), buildSitemap(pages));
+    fs.writeFileSync(path.join(OUTPUT_DIR, 'robots.txt'), buildRobots(SITE_URL));
+    return pages.length;
+}
+
+/**
+ * Render a portfolio page
+ * site holds the build-wide settings: { languages, fallback, citationStyle, citations, pdfs, feeds }
+ */
+function renderTemplate(env, page, data, lang, site) {
+    const { languages } = site;
+    const outputPath = pagePath(page, lang, languages);
+
+    const localizeOptions = { languages, fallback: site.fallback };
+    const localized = localizeData(data, lang, localizeOptions);
+    localized.t = localizeTranslations(data, lang, localizeOptions);
     localized.lang = lang;
     localized.visibility = data.sectionVisibility || {};
-    localized.basePath = basePath;
-    localized.altLang = lang === 'en' ? 'nl' : 'en';
-    localized.altLangLabel = lang === 'en' ? 'Nederlands' : 'English';
+    localized.citations = site.citations || {};
+    localized.citationStyle = site.citationStyle;
+    localized.basePath = path.posix.relative(path.posix.dirname(outputPath), '.') || '.';
+
+    // Links to every page in this language, and to this page in every language
+    localized.urls = {};
+    for (const p of PAGES) {
+        localized.urls[p.name] = pagePath(p, lang, languages);
+    }
+    // The CV PDF of this language, if it was built
+    localized.urls.pdf = (site.pdfs || {})[lang] || null;
+    // Atom and RSS feeds of this language
+    localized.feeds = (site.feeds || {})[lang] || [];
+    localized.languageLinks = languages.map(code => ({
+        code,
+        label: getLanguageLabel(data, code),
+        url: pagePath(page, code, languages),
+        active: code === lang
+    }));
+
+    // Periods, durations and presentation dates in this language
+    addDateLabels(localized, lang, localized.t);
 
-    // Group presentations by year
+    // Group presentations by year, newest first
     if (localized.presentations) {
+        localized.presentations = [...localized.presentations].sort(compareByDate);
         const grouped = {};
         for (const pres of localized.presentations) {
             if (pres.visible === false) continue;
-            const yearMatch = pres.date ? pres.date.match(/\d{4}/) : null;
-            const year = yearMatch ? yearMatch[0] : 'Other';
+            const year = pres.year || 'Other';
             if (!grouped[year]) grouped[year] = [];
             grouped[year].push(pres);
         }
@@ -78,18 +370,16 @@ function renderTemplate(env, templateName, data, lang, basePath) {
     // Sort publications by year
     if (localized.publications) {
         const sortByYear = (a, b) => parseInt(b.year || 0) - parseInt(a.year || 0);
-        if (localized.publications.books) {
-            localized.publications.books = [...localized.publications.books].sort(sortByYear);
-        }
-        if (localized.publications.book_chapters) {
-            localized.publications.book_chapters = [...localized.publications.book_chapters].sort(sortByYear);
-        }
-        if (localized.publications.articles) {
-            localized.publications.articles = [...localized.publications.articles].sort(sortByYear);
+        for (const [category, items] of Object.entries(localized.publications)) {
+            if (Array.isArray(items)) {
+                localized.publications[category] = [...items].sort(sortByYear);
+            }
         }
     }
+    localized.publicationLists = buildPublicationLists(data, localized.publications, localized.t);
+    localized.seo = pageMetadata(page, localized, lang, languages);
 
-    return env.render(templateName, localized);
+    return env.render(page.template, localized);
 }
 
 /**
@@ -107,7 +397,41 @@ async function generatePortfolio() {
         process.exit(1);
     }
     const data = JSON.parse(fs.readFileSync(DATA_FILE, 'utf-8'));
-    console.log('  ✓ Data loaded\n');
+    console.log('  ✓ Data loaded');
+
+    // Refuse to publish data that doesn't match the schema
+    const validation = validateData(data);
+    if (!validation.valid) {
+        console.error('Error: cv_data.json does not match the schema:');
+        console.error(formatValidationErrors(validation.errors));
+        process.exit(1);
+    }
+    console.log('  ✓ Data validated');
+
+    // Anchors on the site use entry ids; ids made up here would change with every build
+    const generatedIds = assignItemIds(data);
+    if (generatedIds > 0) {
+        console.log(`  ⚠ ${generatedIds} entries have no id, start the editor once to store stable ids`);
+    }
+
+    if (!FALLBACK_POLICIES.includes(FALLBACK)) {
+        console.error(`Error: --fallback must be one of: ${FALLBACK_POLICIES.join(', ')}`);
+        process.exit(1);
+    }
+    if (CITATION_STYLE && !CITATION_STYLES[CITATION_STYLE]) {
+        console.error(`Error: --citation-style must be one of: ${Object.keys(CITATION_STYLES).join(', ')}`);
+        process.exit(1);
+    }
+    const translationStatus = getTranslationStatus(data);
+    if (translationStatus.complete) {
+        console.log('  ✓ Translations complete\n');
+    } else {
+        const issues = translationStatus.languages.reduce((sum, lang) => {
+            const { missing, empty, mismatched } = translationStatus.byLanguage[lang];
+            return sum + missing.length + empty.length + mismatched.length;
+        }, 0);
+        console.log(`  ⚠ ${issues} translation issue(s), see: node generate_cv.js --translation-report\n`);
+    }
 
     // Setup Nunjucks
     const env = setupNunjucks();
@@ -118,10 +442,6 @@ async function generatePortfolio() {
         fs.rmSync(OUTPUT_DIR, { recursive: true });
     }
     ensureDir(OUTPUT_DIR);
-    ensureDir(path.join(OUTPUT_DIR, 'nl'));
-    ensureDir(path.join(OUTPUT_DIR, 'cv'));
-    ensureDir(path.join(OUTPUT_DIR, 'publications'));
-    ensureDir(path.join(OUTPUT_DIR, 'presentations'));
     ensureDir(path.join(OUTPUT_DIR, 'assets', 'css'));
     ensureDir(path.join(OUTPUT_DIR, 'assets', 'js'));
     ensureDir(path.join(OUTPUT_DIR, 'assets', 'images'));
@@ -155,43 +475,42 @@ async function generatePortfolio() {
     // Generate pages
     console.log('Generating pages...');
 
-    for (const lang of LANGUAGES) {
-        // Home page - basePath differs for EN (root) vs NL (in /nl/)
-        const homeBasePath = lang === 'en' ? '.' : '..';
-        const homeHtml = renderTemplate(env, 'portfolio_home.html', data, lang, homeBasePath);
-        const homePath = lang === 'en'
-            ? path.join(OUTPUT_DIR, 'index.html')
-            : path.join(OUTPUT_DIR, lang, 'index.html');
-        fs.writeFileSync(homePath, homeHtml);
-        console.log(`  ✓ Home (${lang.toUpperCase()})`);
-
-        // CV page - always in /cv/, so basePath is always '..'
-        const cvHtml = renderTemplate(env, 'portfolio_cv.html', data, lang, '..');
-        const cvPath = lang === 'en'
-            ? path.join(OUTPUT_DIR, 'cv', 'index.html')
-            : path.join(OUTPUT_DIR, 'cv', `${lang}.html`);
-        fs.writeFileSync(cvPath, cvHtml);
-        console.log(`  ✓ CV (${lang.toUpperCase()})`);
-
-        // Publications page - always in /publications/
-        const pubsHtml = renderTemplate(env, 'portfolio_publications.html', data, lang, '..');
-        const pubsPath = lang === 'en'
-            ? path.join(OUTPUT_DIR, 'publications', 'index.html')
-            : path.join(OUTPUT_DIR, 'publications', `${lang}.html`);
-        fs.writeFileSync(pubsPath, pubsHtml);
-        console.log(`  ✓ Publications (${lang.toUpperCase()})`);
-
-        // Presentations page - always in /presentations/
-        const presHtml = renderTemplate(env, 'portfolio_presentations.html', data, lang, '..');
-        const presPath = lang === 'en'
-            ? path.join(OUTPUT_DIR, 'presentations', 'index.html')
-            : path.join(OUTPUT_DIR, 'presentations', `${lang}.html`);
-        fs.writeFileSync(presPath, presHtml);
-        console.log(`  ✓ Presentations (${lang.toUpperCase()})`);
+    const languages = getLanguages(data);
+    const site = { languages, fallback: FALLBACK, citationStyle: resolveCitationStyle(CITATION_STYLE) };
+
+    const exports = writePublicationExports(data, site);
+    site.citations = exports.citations;
+    console.log(`  ✓ Publication exports (${exports.count} entries: .bib, .ris, .json)`);
+
+    site.feeds = writeFeeds(data, site);
+    const counts = site.feeds[languages[0]].map(feed => `${feed.count} ${feed.type}`).join(', ');
+    console.log(`  ✓ Atom and RSS feeds (${counts} per language)`);
+
+    // A failed PDF fails the build; --no-pdf builds the site without the download buttons
+    if (SKIP_PDF) {
+        console.log('  ⚠ CV PDFs skipped (--no-pdf), the download buttons are left out');
+    } else {
+        try {
+            site.pdfs = await writeCVPDFs(data, site);
+        } finally {
+            await closeBrowser();
+        }
     }
 
+    for (const lang of languages) {
+        for (const page of PAGES) {
+            const html = renderTemplate(env, page, data, lang, site);
+            const outputFile = path.join(OUTPUT_DIR, pagePath(page, lang, languages));
+            ensureDir(path.dirname(outputFile));
+            fs.writeFileSync(outputFile, html);
+            console.log(`  ✓ ${page.label} (${lang.toUpperCase()})`);
+        }
+    }
+
+    console.log(`  ✓ sitemap.xml (${writeSitemap(languages)} URLs) and robots.txt`);
+
     // Recreate CNAME
-    fs.writeFileSync(path.join(OUTPUT_DIR, 'CNAME'), 'stefankulk.nl');
+    fs.writeFileSync(path.join(OUTPUT_DIR, 'CNAME'), SITE_DOMAIN);
     console.log('  ✓ CNAME');
 
     console.log('\n╔════════════════════════════════════════════════════╗');
@@ -0,0 +1,74 @@
+/**
+ * Item IDs - Stable identifiers for the list entries in cv_data.json
+ * Used by server.js (on load and save), cv_profiles.js and the CV/portfolio templates
+ *
+ * Every entry of experience, education, presentations, references and each
+ * publication category carries an `id`. Ids are generated once and then kept,
+ * so other features (profiles, citations, feeds) can refer to an entry.
+ */
+
+const crypto = require('crypto');
+
+/**
+ * Lists whose entries carry ids: top-level lists plus every publication category
+ * Keys match the ones used by profiles ("experience", "publications.articles", ...)
+ */
+function getItemLists(data) {
+    const lists = [];
+    for (const key of ['experience', 'education', 'presentations', 'references']) {
+        if (Array.isArray(data[key])) {
+            lists.push({ key, items: data[key] });
+        }
+    }
+    for (const [category, items] of Object.entries(data.publications || {})) {
+        if (Array.isArray(items)) {
+            lists.push({ key: `publications.${category}`, items });
+        }
+    }
+    return lists;
+}
+
+/**
+ * Generate a new id (8 hex characters, same format as the editor)
+ */
+function generateItemId() {
+    return crypto.randomBytes(4).toString('hex');
+}
+
+/**
+ * Give every entry without an id (or with an id already used elsewhere) a new one
+ * Modifies the data in place and returns the number of ids assigned
+ */
+function assignItemIds(data) {
+    const entries = getItemLists(data)
+        .flatMap(list => list.items)
+        .filter(item => item && typeof item === 'object');
+    const taken = new Set(entries.map(item => item.id).filter(id => id));
+    const seen = new Set();
+    let assigned = 0;
+
+    for (const item of entries) {
+        if (!item.id || seen.has(item.id)) {
+            let id;
+            do {
+                id = generateItemId();
+            } while (taken.has(id));
+            taken.add(id);
+
+            // Put the id first so it leads each entry in cv_data.json
+            const fields = { ...item };
+            delete fields.id;
+            for (const key of Object.keys(item)) delete item[key];
+            Object.assign(item, { id }, fields);
+            assigned++;
+        }
+        seen.add(item.id);
+    }
+    return assigned;
+}
+
+module.exports = {
+    getItemLists,
+    generateItemId,
+    assignItemIds
+};
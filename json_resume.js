@@ -0,0 +1,373 @@
+/**
+ * JSON Resume - Convert between cv_data.json and the JSON Resume schema (https://jsonresume.org/schema)
+ * Used by generate_cv.js (--export-jsonresume, --import-jsonresume) and server.js
+ *
+ * A JSON Resume has one language, so export produces one resume per language
+ * (meta.language records which). Import takes one resume per language and merges
+ * them into bilingual fields; entries are paired by position.
+ *
+ * Mapped: personal <-> basics, profile <-> basics.summary, experience <-> work,
+ * education, publications, languages and references. Import starts from the
+ * existing data: other sections, translations and settings are kept, and entries
+ * that match an existing one (same company and title, name, ...) keep its id.
+ * Entries that export leaves out (hidden entries and every entry of a hidden
+ * section) are kept, and a section the resumes don't have is left alone.
+ */
+
+const { getLanguages, textFallback, localizeData } = require('./generate_cv_lib');
+const { applyProfile } = require('./cv_profiles');
+const { generateItemId } = require('./item_ids');
+const { publicationLink, formatCitation, resolveCitationStyle } = require('./citation_styles');
+const { listExportEntries } = require('./bibliography_export');
+const { getPublicationCategories } = require('./publication_categories');
+const { isISODate, parsePeriod } = require('./cv_dates');
+
+const JSON_RESUME_SCHEMA = 'https://raw.githubusercontent.com/jsonresume/resume-schema/v1.0.0/schema.json';
+
+// personal.<key> <-> basics.profiles[] with this network
+const PROFILE_NETWORKS = {
+    linkedin: 'LinkedIn',
+    github: 'GitHub',
+    orcid: 'ORCID',
+    mastodon: 'Mastodon'
+};
+
+// ---------------------------------------------------------------- Dates
+
+/**
+ * JSON Resume dates of an entry: from start/end, or read from a free-text period
+ * Ongoing entries get an empty end date, which is left out
+ */
+function resumeDates(item, lang) {
+    const { start, end } = isISODate(item.start) ? item : parsePeriod(item.period, lang);
+    return { startDate: start || '', endDate: end || '' };
+}
+
+/**
+ * Structured dates from JSON Resume dates ("2022-09-01" -> "2022-09"); no end date means ongoing
+ */
+function entryDates(item) {
+    const date = value => (String(value || '').match(/^\d{4}(-(0[1-9]|1[0-2]))?/) || [''])[0];
+    const start = date(item.startDate);
+    if (!start) return {};
+    const end = date(item.endDate);
+    return end ? { start, end } : { start };
+}
+
+// ---------------------------------------------------------------- Export
+
+/**
+ * "Dutch (native), English (fluent)" -> [{ language, fluency }]
+ */
+function parseLanguages(text) {
+    return String(text || '')
+        .split(/,(?![^(]*\))/)
+        .map(part => part.trim())
+        .filter(part => part)
+        .map(part => {
+            const match = part.match(/^(.*?)\s*\((.*)\)$/);
+            return match ? { language: match[1], fluency: match[2] } : { language: part };
+        });
+}
+
+/**
+ * Drop empty strings, empty lists and empty objects
+ */
+function compact(value) {
+    if (Array.isArray(value)) {
+        return value.map(compact).filter(item => item !== undefined);
+    }
+    if (value !== null && typeof value === 'object') {
+        const entries = Object.entries(value)
+            .map(([key, v]) => [key, compact(v)])
+            .filter(([, v]) => v !== undefined && v !== '' && !(Array.isArray(v) && v.length === 0) &&
+                !(v !== null && typeof v === 'object' && !Array.isArray(v) && Object.keys(v).length === 0));
+        return Object.fromEntries(entries);
+    }
+    return value;
+}
+
+/**
+ * The CV in one language as a JSON Resume
+ * Hidden sections and entries are left out.
+ *
+ * Options:
+ *   fallback      - translation fallback policy (see localizeData); 'mark' is treated as 'fallback'
+ *   profile       - tailored profile to apply first
+ *   citationStyle - style of the publication summaries (default: the profile's, else house)
+ */
+function toJSONResume(data, lang, options = {}) {
+    const raw = applyProfile(data, options.profile);
+    const citationStyle = resolveCitationStyle(options.citationStyle, data.profiles?.[options.profile]);
+    const cv = localizeData(raw, lang, { fallback: textFallback(options.fallback) });
+    const shown = section => raw.sectionVisibility?.[section] !== false;
+    const visible = items => (items || []).filter(item => item.visible !== false);
+    const personal = cv.personal || {};
+
+    const experience = shown('experience') ? visible(cv.experience) : [];
+    const [city] = String(personal.location || '').split(',');
+
+    const resume = {
+        $schema: JSON_RESUME_SCHEMA,
+        basics: {
+            name: personal.name,
+            label: experience.length > 0 ? experience[0].title : '',
+            image: personal.photo,
+            email: personal.email,
+            phone: personal.phone,
+            url: personal.website,
+            summary: shown('profile') ? cv.profile : '',
+            location: { address: personal.location, city: city.trim() },
+            profiles: Object.entries(PROFILE_NETWORKS)
+                .filter(([key]) => personal[key])
+                .map(([key, network]) => ({
+                    network,
+                    username: personal[key].replace(/\/+$/, '').split('/').pop(),
+                    url: personal[key]
+                }))
+        },
+        work: experience.map(item => ({
+            name: item.company,
+            position: item.title,
+            location: item.location,
+            ...resumeDates(item, lang),
+            highlights: item.responsibilities
+        })),
+        education: (shown('education') ? visible(cv.education) : []).map(item => ({
+            institution: item.institution,
+            studyType: item.degree,
+            ...resumeDates(item, lang),
+            summary: item.description
+        })),
+        publications: (shown('publications') ? listExportEntries(cv) : []).map(({ category, pub }) => ({
+            name: pub.title,
+            publisher: pub.publication || pub.publisher,
+            releaseDate: pub.year,
+            url: publicationLink(pub),
+            summary: formatCitation(pub, category, citationStyle)
+        })),
+        languages: shown('languages') ? parseLanguages(cv.languages) : [],
+        references: (shown('references') ? visible(cv.references) : []).map(item => ({
+            name: item.name,
+            reference: item.title
+        })),
+        meta: { language: lang }
+    };
+    return compact(resume);
+}
+
+// ---------------------------------------------------------------- Import
+
+/**
+ * Normalized key for matching entries
+ */
+function matchKey(...parts) {
+    return parts.map(part => String(part || '').toLowerCase().replace(/\s+/g, ' ').trim()).join('|');
+}
+
+/**
+ * Index of entries by key; take(key) hands out each entry once
+ */
+function entryIndex(items, key) {
+    const index = new Map();
+    for (const item of items) {
+        const k = key(item);
+        index.set(k, [...(index.get(k) || []), item]);
+    }
+    return { take: k => (index.get(k) || []).shift() };
+}
+
+/**
+ * Build one list of bilingual entries from the lists in each language
+ * `convert(itemsByLang)` receives { lang: item } for one position and returns the entry;
+ * `key(entry)` finds the existing entry whose id (and visibility) is reused.
+ * Existing entries that match nothing and that export left out (`leftOut(entry)`)
+ * are kept at their place.
+ */
+function mergeLists(section, listsByLang, existing, convert, key, warnings, leftOut) {
+    const langs = Object.keys(listsByLang);
+    const length = Math.max(0, ...langs.map(lang => listsByLang[lang].length));
+    const lengths = langs.map(lang => listsByLang[lang].length);
+    if (new Set(lengths).size > 1) {
+        warnings.push(`${section}: ${langs.map((lang, i) => `${lang} has ${lengths[i]}`).join(', ')} entries; entries were paired by position`);
+    }
+
+    const index = entryIndex(existing || [], key);
+    const matched = new Set();
+    const entries = [];
+    for (let i = 0; i < length; i++) {
+        const itemsByLang = Object.fromEntries(langs.map(lang => [lang, listsByLang[lang][i] || {}]));
+        const entry = convert(itemsByLang);
+        const match = index.take(key(entry));
+        if (match) matched.add(match);
+        entries.push({
+            id: match ? match.id : generateItemId(),
+            ...(match && match.visible === false ? { visible: false } : {}),
+            ...entry
+        });
+    }
+
+    (existing || []).forEach((item, position) => {
+        if (!matched.has(item) && leftOut(item)) {
+            entries.splice(Math.min(position, entries.length), 0, item);
+        }
+    });
+    return entries;
+}
+
+/**
+ * Merge JSON Resumes into the CV data
+ * `resumes` is { lang: resume }; the languages must exist in the data's translations.
+ * Returns { data, warnings }
+ */
+function fromJSONResume(resumes, baseData = {}) {
+    const languages = getLanguages(baseData);
+    const warnings = [];
+
+    const langs = Object.keys(resumes || {});
+    if (langs.length === 0) {
+        throw new Error('No resume to import');
+    }
+    for (const lang of langs) {
+        if (!languages.includes(lang)) {
+            throw new Error(`Unknown language '${lang}' (available: ${languages.join(', ')})`);
+        }
+        const resume = resumes[lang];
+        if (!resume || typeof resume !== 'object' || Array.isArray(resume)) {
+            throw new Error(`The ${lang} resume is not a JSON object`);
+        }
+    }
+    // The first language of the data is leading for values that aren't translated
+    langs.sort((a, b) => languages.indexOf(a) - languages.indexOf(b));
+    const main = resumes[langs[0]];
+    const missing = languages.filter(lang => !langs.includes(lang));
+    if (missing.length > 0) {
+        warnings.push(`No resume for ${missing.join(', ')}; those translations are left empty`);
+    }
+
+    // { lang: value } for every language of the data, empty where there is no resume
+    const localized = (pick, empty = '') => Object.fromEntries(languages.map(lang => [
+        lang,
+        langs.includes(lang) ? (pick(resumes[lang], lang) ?? empty) : empty
+    ]));
+    // Optional fields are null when no language has a value
+    const optional = value => Object.values(value).some(v => v) ? value : null;
+    const list = field => Object.fromEntries(langs.map(lang => [lang, Array.isArray(resumes[lang][field]) ? resumes[lang][field] : []]));
+    // Sections are only imported when a resume has them
+    const has = field => langs.some(lang => Array.isArray(resumes[lang][field]));
+    // Export leaves out hidden entries and every entry of a hidden section
+    const leftOut = section => baseData.sectionVisibility?.[section] === false ? () => true : item => item.visible === false;
+
+    const basics = main.basics || {};
+    const location = basics.location || {};
+    const personal = {
+        ...(baseData.personal || {}),
+        name: basics.name || baseData.personal?.name || '',
+        location: location.address || [location.city, location.region, location.countryCode].filter(v => v).join(', ') ||
+            baseData.personal?.location || ''
+    };
+    for (const [key, value] of [['email', basics.email], ['phone', basics.phone], ['photo', basics.image], ['website', basics.url]]) {
+        if (value) personal[key] = value;
+    }
+    for (const profile of basics.profiles || []) {
+        const key = Object.keys(PROFILE_NETWORKS).find(k => PROFILE_NETWORKS[k].toLowerCase() === String(profile.network || '').toLowerCase());
+        if (key && profile.url) personal[key] = profile.url;
+    }
+    if (!personal.name) {
+        warnings.push('The resume has no basics.name');
+    }
+
+    const data = { ...baseData, personal };
+    if (langs.some(lang => resumes[lang].basics?.summary) || !baseData.profile) {
+        data.profile = localized(resume => resume.basics?.summary);
+    }
+
+    if (has('work')) {
+        data.experience = mergeLists('work', list('work'), baseData.experience, items => ({
+            title: localized((_, lang) => items[lang].position),
+            company: localized((_, lang) => items[lang].name),
+            location: optional(localized((_, lang) => items[lang].location)),
+            ...entryDates(items[langs[0]]),
+            responsibilities: localized((_, lang) => items[lang].highlights || (items[lang].summary ? [items[lang].summary] : []), [])
+        }), item => matchKey(item.company?.[langs[0]], item.title?.[langs[0]]), warnings, leftOut('experience'));
+    }
+
+    if (has('education')) {
+        data.education = mergeLists('education', list('education'), baseData.education, items => ({
+            degree: localized((_, lang) => [items[lang].studyType, items[lang].area].filter(v => v).join(', ')),
+            institution: localized((_, lang) => items[lang].institution),
+            ...entryDates(items[langs[0]]),
+            description: optional(localized((_, lang) => items[lang].summary))
+        }), item => matchKey(item.institution?.[langs[0]], item.degree?.[langs[0]]), warnings, leftOut('education'));
+    }
+
+    if (has('references')) {
+        data.references = mergeLists('references', list('references'), baseData.references, items => ({
+            name: items[langs[0]].name || '',
+            title: localized((_, lang) => items[lang].reference)
+        }), item => matchKey(item.name), warnings, leftOut('references'));
+    }
+
+    if (has('languages')) {
+        data.languages = localized(resume => (resume.languages || [])
+            .map(item => item.fluency ? `${item.language} (${item.fluency})` : item.language)
+            .join(', '));
+    }
+
+    if (has('publications')) {
+        data.publications = importPublications(main.publications || [], baseData, warnings, leftOut('publications'));
+    }
+
+    return { data, warnings };
+}
+
+/**
+ * Publications from a resume: entries already in the data (same title) keep their
+ * category and fields, new ones are added to the first article category
+ * Publication titles aren't translated, so only the leading language is used.
+ * Entries that export left out (`leftOut(pub)`) are kept.
+ */
+function importPublications(items, baseData, warnings, leftOut) {
+    const categories = getPublicationCategories(baseData);
+    const existing = entryIndex(categories.flatMap(category =>
+        ((baseData.publications || {})[category.id] || []).map(pub => ({ category: category.id, pub }))
+    ), entry => matchKey(entry.pub.title));
+    const target = (categories.find(category => category.kind === 'article') || categories[0] || { id: 'articles' }).id;
+
+    // New entries go first; entries already in the data keep their order
+    const added = [];
+    const kept = new Set();
+    for (const item of items) {
+        const match = existing.take(matchKey(item.name));
+        if (match) {
+            kept.add(match.pub);
+        } else if (item.name) {
+            added.push({
+                id: generateItemId(),
+                visible: true,
+                authors: [],
+                title: item.name,
+                publication: item.publisher || '',
+                year: (String(item.releaseDate || '').match(/\d{4}/) || [''])[0],
+                ...(item.url ? { url: item.url } : {})
+            });
+        }
+    }
+
+    const publications = {};
+    for (const category of categories) {
+        const base = (baseData.publications || {})[category.id];
+        const list = [...(category.id === target ? added : []), ...(base || []).filter(pub => kept.has(pub) || leftOut(pub))];
+        if (base || list.length > 0) publications[category.id] = list;
+    }
+    if (added.length > 0) {
+        warnings.push(`${added.length} publication(s) not in the data were added to '${target}' without authors`);
+    }
+    return publications;
+}
+
+module.exports = {
+    JSON_RESUME_SCHEMA,
+    toJSONResume,
+    fromJSONResume
+};
@@ -0,0 +1,133 @@
+/**
+ * Page Settings - Paper format, margins, scale, header/footer and page breaks of the PDF
+ * Used by generate_cv_lib.js (renderPDF), generate_cv.js CLI and server.js
+ *
+ * Settings are stored as `pageSettings` in the data; a profile can override any
+ * of them with its own `pageSettings` (see cv_profiles.js). Margins are in mm.
+ *
+ *   format       - 'A4' or 'Letter'
+ *   margins      - { top, right, bottom, left }
+ *   scale        - 0.5 to 1.5
+ *   header       - the name and document title at the top of every page
+ *   footer       - the name and page numbers ("2 / 3") at the bottom of every page
+ *   keepTogether - never split an entry (experience, publication, ...) across pages
+ *   fitToPages   - shrink the scale (down to MIN_FIT_SCALE) until the CV fits on this
+ *                  many pages, and report it when it still doesn't; null: off
+ */
+
+const PAGE_FORMATS = ['A4', 'Letter'];
+// Paper size of every format in CSS pixels (96 DPI), for the viewport the page is laid out in
+const PAGE_SIZES = {
+    A4: { width: 794, height: 1123 },      // 210 x 297 mm
+    Letter: { width: 816, height: 1056 }   // 8.5 x 11 in
+};
+// Fitting never shrinks below this scale, text would get too small to read
+const MIN_FIT_SCALE = 0.7;
+const FIT_SCALE_STEP = 0.05;
+// Room the header and footer need in the top and bottom margin
+const HEADER_FOOTER_MARGIN = 15;
+
+const DEFAULT_PAGE_SETTINGS = {
+    format: 'A4',
+    margins: { top: 12, right: 14, bottom: 12, left: 14 },
+    scale: 1,
+    header: false,
+    footer: false,
+    keepTogether: true,
+    fitToPages: null
+};
+
+// Entries of the templates (they carry data-id) and titles that shouldn't end a page
+const KEEP_TOGETHER_CSS = `
+[data-id], .experience-item, .education-item, .pub-item, .reference-item, .entry {
+    break-inside: avoid;
+    page-break-inside: avoid;
+}
+h1, h2, h3, .section-title, .pub-category-title {
+    break-after: avoid;
+    page-break-after: avoid;
+}
+`;
+
+/**
+ * The page settings of (profile-applied) data, with defaults for what isn't set
+ */
+function resolvePageSettings(data) {
+    const settings = data.pageSettings || {};
+    return {
+        ...DEFAULT_PAGE_SETTINGS,
+        ...settings,
+        margins: { ...DEFAULT_PAGE_SETTINGS.margins, ...settings.margins }
+    };
+}
+
+function escapeHtml(text) {
+    return String(text || '').replace(/&/g, '&amp;').replace(/</g, '&lt;').replace(/>/g, '&gt;');
+}
+
+/**
+ * Browser viewport of the paper format, so the page is laid out at the width it is printed at
+ */
+function pageViewport(settings) {
+    return { ...(PAGE_SIZES[settings.format] || PAGE_SIZES[DEFAULT_PAGE_SETTINGS.format]) };
+}
+
+/**
+ * Chromium header or footer template: left and right text at the page margins
+ * Chromium fills the elements with class pageNumber and totalPages.
+ */
+function marginTemplate(settings, left, right) {
+    return `<div style="width: 100%; box-sizing: border-box; padding: 0 ${settings.margins.right}mm 0 ${settings.margins.left}mm; ` +
+        'display: flex; justify-content: space-between; font-family: sans-serif; font-size: 8px; color: #4a5568;">' +
+        `<span>${left}</span><span>${right}</span></div>`;
+}
+
+/**
+ * Options for puppeteer's page.pdf()
+ * `metadata` gives the name (author) and title for the header and footer;
+ * `scale` overrides the scale of the settings (used when fitting to pages)
+ */
+function pdfOptions(settings, metadata = {}, scale = settings.scale) {
+    const margins = { ...settings.margins };
+    if (settings.header) margins.top = Math.max(margins.top, HEADER_FOOTER_MARGIN);
+    if (settings.footer) margins.bottom = Math.max(margins.bottom, HEADER_FOOTER_MARGIN);
+
+    const options = {
+        format: settings.format,
+        margin: Object.fromEntries(Object.entries(margins).map(([side, mm]) => [side, `${mm}mm`])),
+        scale,
+        printBackground: true
+    };
+    if (settings.header || settings.footer) {
+        const name = escapeHtml(metadata.author);
+        const pages = '<span class="pageNumber"></span> / <span class="totalPages"></span>';
+        options.displayHeaderFooter = true;
+        options.headerTemplate = settings.header ? marginTemplate(settings, name, escapeHtml(metadata.title)) : '<span></span>';
+        options.footerTemplate = settings.footer ? marginTemplate(settings, name, pages) : '<span></span>';
+    }
+    return options;
+}
+
+/**
+ * Scales to try for the settings: the set scale, then smaller steps when fitting to pages
+ */
+function fitScales(settings) {
+    const scales = [settings.scale];
+    if (settings.fitToPages) {
+        for (let scale = settings.scale - FIT_SCALE_STEP; scale >= MIN_FIT_SCALE - 1e-9; scale -= FIT_SCALE_STEP) {
+            scales.push(Math.round(scale * 100) / 100);
+        }
+    }
+    return scales;
+}
+
+module.exports = {
+    PAGE_FORMATS,
+    MIN_FIT_SCALE,
+    DEFAULT_PAGE_SETTINGS,
+    KEEP_TOGETHER_CSS,
+    resolvePageSettings,
+    pageViewport,
+    pdfOptions,
+    fitScales
+};
@@ -0,0 +1,153 @@
+/**
+ * PDF Metadata - Document properties, language and checks of the generated PDF
+ * Used by generate_cv_lib.js (prepareData, renderPDF), for generate_cv.js and server.js
+ *
+ * prepareData adds the document metadata of the language as `meta`, which the
+ * templates put in <title> and <meta> tags. Chromium writes the PDF tagged
+ * (structure tree for screen readers) and with an outline made from the
+ * headings; afterwards the properties are copied from the page into the PDF and
+ * the result is checked. Missing properties, tags or section bookmarks are
+ * reported as problems rather than failing the PDF.
+ */
+
+const { PDFDocument, PDFDict, PDFName } = require('pdf-lib');
+
+const PRODUCER = 'cv-generator';
+
+/**
+ * Metadata of localized CV data: { title, author, subject, keywords, language }
+ * `cv` is the output of prepareData (personal, t and lang are used)
+ */
+function documentMetadata(cv) {
+    const personal = cv.personal || {};
+    const t = cv.t || {};
+    const name = personal.name || '';
+    const document = t.cv_footer || 'Curriculum Vitae';
+    const current = (cv.experience || []).find(job => job.visible !== false);
+    const role = current ? [current.title, current.company].filter(part => part).join(', ') : '';
+
+    return {
+        title: [document, [name, personal.credentials].filter(part => part).join(', ')].filter(part => part).join(' - '),
+        author: name,
+        subject: role ? `${document}: ${role}` : document,
+        keywords: [name, document, current?.title, current?.company]
+            .filter((keyword, i, list) => keyword && list.indexOf(keyword) === i),
+        language: cv.lang
+    };
+}
+
+/**
+ * Metadata of a rendered page: <title>, <meta> author/description/keywords, <html lang>
+ * and the section headings (h2), which should each get a bookmark
+ */
+async function readPageMetadata(page) {
+    return page.evaluate(() => {
+        const meta = name => document.querySelector(`meta[name="${name}"]`)?.content || '';
+        return {
+            title: document.title,
+            author: meta('author'),
+            subject: meta('description'),
+            keywords: meta('keywords').split(',').map(keyword => keyword.trim()).filter(keyword => keyword),
+            language: document.documentElement.lang,
+            sections: Array.from(document.querySelectorAll('h2'))
+                .map(heading => heading.textContent.replace(/\s+/g, ' ').trim())
+                .filter(text => text)
+        };
+    });
+}
+
+/**
+ * Set the document properties and language of a PDF
+ * Returns the new PDF as a Buffer
+ */
+async function applyPDFMetadata(pdf, metadata) {
+    const document = await PDFDocument.load(pdf, { updateMetadata: false });
+    if (metadata.title) document.setTitle(metadata.title, { showInWindowTitleBar: true });
+    if (metadata.author) document.setAuthor(metadata.author);
+    if (metadata.subject) document.setSubject(metadata.subject);
+    if (metadata.keywords?.length) document.setKeywords(metadata.keywords);
+    if (metadata.language) document.setLanguage(metadata.language);
+    document.setCreator(PRODUCER);
+    document.setProducer(PRODUCER);
+    const now = new Date();
+    document.setCreationDate(now);
+    document.setModificationDate(now);
+    return Buffer.from(await document.save());
+}
+
+/**
+ * Number of pages of a PDF
+ */
+async function countPages(pdf) {
+    return (await PDFDocument.load(pdf, { updateMetadata: false })).getPageCount();
+}
+
+/**
+ * Titles of the outline items of a PDF, at every level
+ */
+function outlineTitles(document) {
+    const titles = [];
+    const visit = (item, depth) => {
+        // Guard against loops in damaged files
+        for (let count = 0; item && count < 10000 && depth < 20; count++) {
+            const title = item.get(PDFName.of('Title'));
+            if (title && typeof title.decodeText === 'function') titles.push(title.decodeText());
+            visit(item.lookupMaybe(PDFName.of('First'), PDFDict), depth + 1);
+            item = item.lookupMaybe(PDFName.of('Next'), PDFDict);
+        }
+    };
+    const outlines = document.catalog.lookupMaybe(PDFName.of('Outlines'), PDFDict);
+    if (outlines) visit(outlines.lookupMaybe(PDFName.of('First'), PDFDict), 0);
+    return titles;
+}
+
+/**
+ * Check a generated PDF: document properties, language, tags and a bookmark per section
+ * Returns a list of problems (empty when the PDF is fine)
+ */
+async function verifyPDF(pdf, metadata) {
+    const problems = [];
+    const document = await PDFDocument.load(pdf, { updateMetadata: false });
+    const normalize = text => String(text || '').replace(/\s+/g, ' ').trim().toLowerCase();
+
+    const properties = {
+        title: document.getTitle(),
+        author: document.getAuthor(),
+        subject: document.getSubject(),
+        keywords: document.getKeywords()
+    };
+    for (const [property, value] of Object.entries(properties)) {
+        if (!value) problems.push(`no ${property}`);
+    }
+    const language = document.catalog.get(PDFName.of('Lang'));
+    if (!language || !metadata.language || language.decodeText() !== metadata.language) {
+        problems.push(`document language is not set${metadata.language ? ` to '${metadata.language}'` : ''}`);
+    }
+
+    // Tagged PDF: a structure tree and MarkInfo << /Marked true >>
+    const markInfo = document.catalog.lookupMaybe(PDFName.of('MarkInfo'), PDFDict);
+    if (!document.catalog.get(PDFName.of('StructTreeRoot')) || String(markInfo?.get(PDFName.of('Marked'))) !== 'true') {
+        problems.push('not tagged (no structure tree), screen readers get no reading order');
+    }
+
+    const bookmarks = outlineTitles(document).map(normalize);
+    if (bookmarks.length === 0) {
+        problems.push('no outline (bookmarks)');
+    } else {
+        for (const title of metadata.sections || []) {
+            if (!bookmarks.includes(normalize(title))) {
+                problems.push(`no bookmark for section '${title}'`);
+            }
+        }
+    }
+    return problems;
+}
+
+module.exports = {
+    documentMetadata,
+    readPageMetadata,
+    applyPDFMetadata,
+    countPages,
+    outlineTitles,
+    verifyPDF
+};
@@ -0,0 +1,68 @@
+/**
+ * Publication Categories - The kinds of publications listed in the CV
+ * Used by generate_cv_lib.js, generate_portfolio.js, bibliography_export.js and server.js
+ *
+ * Categories are defined in cv_data.json under `publicationCategories`, in display order:
+ *   id         - key under `publications`, also the translation key of the label
+ *   kind       - how entries are cited: book, chapter, article or report (see citation_styles.js)
+ *   fields     - the fields an entry has, in the order the editor shows them
+ *   countTotal - show the total number of entries next to the label ("Articles (15+ total)")
+ * Without definitions the defaults below are used. Lists under `publications`
+ * without a definition are shown after the defined ones, cited as reports.
+ */
+
+const PUBLICATION_FIELDS = ['title', 'authors', 'editors', 'publication', 'year', 'issue', 'pages', 'publisher', 'place', 'url', 'doi'];
+const PUBLICATION_KINDS = ['book', 'chapter', 'article', 'report'];
+
+const DEFAULT_PUBLICATION_CATEGORIES = [
+    { id: 'books', kind: 'book', fields: ['title', 'authors', 'year', 'publisher', 'place', 'url'] },
+    { id: 'book_chapters', kind: 'chapter', fields: ['title', 'authors', 'publication', 'year', 'publisher', 'editors'] },
+    { id: 'articles', kind: 'article', fields: ['title', 'authors', 'publication', 'year', 'issue', 'pages'], countTotal: true },
+    { id: 'reports', kind: 'report', fields: ['title', 'authors', 'year', 'publisher', 'url'] }
+];
+
+/**
+ * The publication categories of the data, in display order
+ */
+function getPublicationCategories(data) {
+    const defined = Array.isArray(data.publicationCategories) && data.publicationCategories.length > 0
+        ? data.publicationCategories
+        : DEFAULT_PUBLICATION_CATEGORIES;
+    const categories = defined.map(category => ({ countTotal: false, ...category }));
+
+    // Lists in the data that have no definition (yet)
+    for (const [id, items] of Object.entries(data.publications || {})) {
+        if (!Array.isArray(items) || categories.some(category => category.id === id)) continue;
+        const present = new Set(items.flatMap(item => Object.keys(item)));
+        categories.push({
+            id,
+            kind: 'report',
+            fields: PUBLICATION_FIELDS.filter(field => field === 'title' || field === 'authors' || present.has(field)),
+            countTotal: false
+        });
+    }
+    return categories;
+}
+
+/**
+ * Categories with their localized label and entries, for the templates
+ * `publications` and `t` are the localized data and translations;
+ * categories without visible entries are left out
+ */
+function buildPublicationLists(data, publications, t) {
+    return getPublicationCategories(data)
+        .map(category => ({
+            ...category,
+            label: t[category.id] || category.id.replace(/_/g, ' ').replace(/^\w/, c => c.toUpperCase()),
+            items: (publications || {})[category.id] || []
+        }))
+        .filter(category => category.items.some(item => item.visible !== false));
+}
+
+module.exports = {
+    PUBLICATION_FIELDS,
+    PUBLICATION_KINDS,
+    DEFAULT_PUBLICATION_CATEGORIES,
+    getPublicationCategories,
+    buildPublicationLists
+};
@@ -0,0 +1,272 @@
+/**
+ * Revision Store - Saved versions of cv_data.json with messages, diff and restore
+ * Used by server.js
+ *
+ * Every save is stored as history/<id>.json: { id, savedAt, message, hash, data }.
+ * Ids are millisecond timestamps, so they sort chronologically.
+ * The hash identifies the content and doubles as the ETag of the saved data.
+ * Retention: HISTORY_LIMIT keeps the newest N revisions (default: keep all).
+ *
+ * history/index.json holds the metadata of every revision ({ id: { savedAt, message, hash } }),
+ * so listing and hash lookups don't read the revision files. It is brought in line
+ * with the files in the directory when read, and rebuilt when it is missing.
+ */
+
+const fs = require('fs');
+const path = require('path');
+const crypto = require('crypto');
+const { getItemLists } = require('./item_ids');
+
+const HISTORY_DIR = path.join(__dirname, 'history');
+const INDEX_FILE = path.join(HISTORY_DIR, 'index.json');
+const HISTORY_LIMIT = Math.max(0, parseInt(process.env.HISTORY_LIMIT, 10) || 0);
+const LEGACY_BACKUP_PATTERN = /^cv_data_backup_(\d+)\.json$/;
+
+/**
+ * Content hash of the data, independent of how the file is formatted
+ */
+function hashData(data) {
+    return crypto.createHash('sha256').update(JSON.stringify(data)).digest('hex').slice(0, 32);
+}
+
+/**
+ * File of a revision
+ */
+function revisionPath(id) {
+    return path.join(HISTORY_DIR, `${id}.json`);
+}
+
+/**
+ * Ids of all stored revisions, oldest first
+ */
+function listRevisionIds() {
+    if (!fs.existsSync(HISTORY_DIR)) {
+        return [];
+    }
+    return fs.readdirSync(HISTORY_DIR)
+        .filter(f => /^\d+\.json$/.test(f))
+        .map(f => f.replace(/\.json$/, ''))
+        .sort((a, b) => Number(a) - Number(b));
+}
+
+/**
+ * The revision index, in line with the revision files
+ * Only revisions missing from the index are read; the index is written back when it changed
+ */
+function readIndex() {
+    let index = {};
+    try {
+        index = JSON.parse(fs.readFileSync(INDEX_FILE, 'utf-8'));
+    } catch (err) {
+        // Missing or unreadable: rebuilt from the revision files below
+    }
+
+    const ids = listRevisionIds();
+    let changed = Object.keys(index).length !== ids.length;
+    const result = {};
+    for (const id of ids) {
+        if (!index[id]) {
+            const { savedAt, message, hash, data } = JSON.parse(fs.readFileSync(revisionPath(id), 'utf-8'));
+            index[id] = { savedAt, message, hash: hash || hashData(data) };
+            changed = true;
+        }
+        result[id] = index[id];
+    }
+    if (changed) {
+        writeIndex(result);
+    }
+    return result;
+}
+
+function writeIndex(index) {
+    fs.mkdirSync(HISTORY_DIR, { recursive: true });
+    fs.writeFileSync(INDEX_FILE, JSON.stringify(index, null, 2), 'utf-8');
+}
+
+/**
+ * Store a revision and apply the retention limit
+ * Returns the revision metadata
+ */
+function saveRevision(data, message = '', savedAt = new Date()) {
+    fs.mkdirSync(HISTORY_DIR, { recursive: true });
+
+    // Two saves within the same millisecond get consecutive ids
+    let id = savedAt.getTime();
+    while (fs.existsSync(revisionPath(id))) id++;
+
+    const revision = {
+        id: String(id),
+        savedAt: savedAt.toISOString(),
+        message: message.trim(),
+        hash: hashData(data),
+        data
+    };
+    const index = readIndex();
+    fs.writeFileSync(revisionPath(revision.id), JSON.stringify(revision, null, 2), 'utf-8');
+    index[revision.id] = { savedAt: revision.savedAt, message: revision.message, hash: revision.hash };
+
+    if (HISTORY_LIMIT > 0) {
+        const ids = listRevisionIds();
+        ids.slice(0, Math.max(0, ids.length - HISTORY_LIMIT)).forEach(old => {
+            fs.unlinkSync(revisionPath(old));
+            delete index[old];
+        });
+    }
+    writeIndex(index);
+
+    return { id: revision.id, savedAt: revision.savedAt, message: revision.message };
+}
+
+/**
+ * Load a revision with its data, or null if it doesn't exist
+ */
+function getRevision(id) {
+    if (!/^\d+$/.test(String(id)) || !fs.existsSync(revisionPath(id))) {
+        return null;
+    }
+    return JSON.parse(fs.readFileSync(revisionPath(id), 'utf-8'));
+}
+
+/**
+ * The newest revision, or null if there is none
+ */
+function getLatestRevision() {
+    const ids = listRevisionIds();
+    return ids.length > 0 ? getRevision(ids[ids.length - 1]) : null;
+}
+
+/**
+ * Newest revision with the given content hash, or null
+ */
+function findRevisionByHash(hash) {
+    const index = readIndex();
+    const id = Object.keys(index).reverse().find(key => index[key].hash === hash);
+    return id ? getRevision(id) : null;
+}
+
+/**
+ * Revision metadata, newest first
+ */
+function listRevisions() {
+    const index = readIndex();
+    return Object.keys(index).reverse().map(id => ({ id, savedAt: index[id].savedAt, message: index[id].message }));
+}
+
+/**
+ * Bring the cv_data_backup_<ts>.json files of earlier versions into the history once
+ * The backup files themselves are left in place
+ */
+function importLegacyBackups(baseDir) {
+    const existing = new Set(listRevisionIds());
+    let imported = 0;
+    for (const file of fs.readdirSync(baseDir)) {
+        const match = file.match(LEGACY_BACKUP_PATTERN);
+        if (!match || existing.has(match[1])) continue;
+
+        // With a full history, backups older than every kept revision would be pruned straight away
+        const kept = listRevisionIds();
+        if (HISTORY_LIMIT > 0 && kept.length >= HISTORY_LIMIT && Number(match[1]) < Number(kept[0])) continue;
+
+        try {
+            const data = JSON.parse(fs.readFileSync(path.join(baseDir, file), 'utf-8'));
+            saveRevision(data, `Imported from ${file}`, new Date(Number(match[1])));
+            imported++;
+        } catch (err) {
+            console.warn(`  Warning: Could not import ${file}: ${err.message}`);
+        }
+    }
+    return imported;
+}
+
+/**
+ * Short label for a list entry, used in diffs
+ */
+function entryLabel(item) {
+    const text = item.title || item.degree || item.name || '';
+    if (text && typeof text === 'object') {
+        return Object.values(text).find(v => v) || '';
+    }
+    return String(text);
+}
+
+/**
+ * Field-level differences between two versions of the data
+ * List entries are matched by id, so moving an entry reports a reorder
+ * instead of a change to every field after it.
+ *
+ * Returns [{ path, type: 'added'|'removed'|'changed'|'reordered', before, after, label }]
+ */
+function diffData(before, after) {
+    const changes = [];
+    const idLists = new Set([...getItemLists(before), ...getItemLists(after)]
+        .map(list => `/${list.key.replace('.', '/')}`));
+
+    const isObject = value => value !== null && typeof value === 'object' && !Array.isArray(value);
+    // Revisions from before entries had ids are compared by position
+    const hasIds = list => Array.isArray(list) && list.every(item => isObject(item) && item.id);
+
+    const walk = (a, b, fieldPath) => {
+        if (JSON.stringify(a) === JSON.stringify(b)) return;
+
+        if (a === undefined) {
+            changes.push({ path: fieldPath, type: 'added', after: b });
+        } else if (b === undefined) {
+            changes.push({ path: fieldPath, type: 'removed', before: a });
+        } else if (idLists.has(fieldPath) && hasIds(a) && hasIds(b)) {
+            diffEntries(a, b, fieldPath);
+        } else if (isObject(a) && isObject(b)) {
+            for (const key of new Set([...Object.keys(a), ...Object.keys(b)])) {
+                walk(a[key], b[key], `${fieldPath}/${key}`);
+            }
+        } else if (Array.isArray(a) && Array.isArray(b)) {
+            const length = Math.max(a.length, b.length);
+            for (let i = 0; i < length; i++) {
+                walk(a[i], b[i], `${fieldPath}/${i}`);
+            }
+        } else {
+            changes.push({ path: fieldPath, type: 'changed', before: a, after: b });
+        }
+    };
+
+    const diffEntries = (a, b, fieldPath) => {
+        const byIdA = new Map(a.map(item => [item.id, item]));
+        const byIdB = new Map(b.map(item => [item.id, item]));
+
+        for (const item of a) {
+            if (!byIdB.has(item.id)) {
+                changes.push({ path: `${fieldPath}/${item.id}`, type: 'removed', before: item, label: entryLabel(item) });
+            }
+        }
+        for (const item of b) {
+            const previous = byIdA.get(item.id);
+            if (!previous) {
+                changes.push({ path: `${fieldPath}/${item.id}`, type: 'added', after: item, label: entryLabel(item) });
+            } else {
+                walk(previous, item, `${fieldPath}/${item.id}`);
+            }
+        }
+
+        const orderA = a.map(item => item.id).filter(id => byIdB.has(id));
+        const orderB = b.map(item => item.id).filter(id => byIdA.has(id));
+        if (orderA.join() !== orderB.join()) {
+            changes.push({ path: fieldPath, type: 'reordered', before: orderA, after: orderB });
+        }
+    };
+
+    walk(before, after, '');
+    return changes;
+}
+
+module.exports = {
+    HISTORY_DIR,
+    HISTORY_LIMIT,
+    hashData,
+    listRevisionIds,
+    saveRevision,
+    getRevision,
+    getLatestRevision,
+    findRevisionByHash,
+    listRevisions,
+    importLegacyBackups,
+    diffData
+};
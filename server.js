@@ -8,15 +8,49 @@ const express = require('express');
 const path = require('path');
 const fs = require('fs');
 const multer = require('multer');
-const { renderHTML, generatePDFBuffer } = require('./generate_cv_lib');
+const {
+    validateData,
+    getLanguages,
+    FALLBACK_POLICIES,
+    getTranslationStatus,
+    renderHTML,
+    generatePDFBuffer
+} = require('./generate_cv_lib');
+const { getBrowser, closeBrowser } = require('./browser_pool');
+const { DEFAULT_TEMPLATE, listTemplates, resolveTemplate } = require('./template_registry');
+const { listProfiles, applyProfile } = require('./cv_profiles');
+const { PAGE_FORMATS, DEFAULT_PAGE_SETTINGS, resolvePageSettings } = require('./page_settings');
+const { getItemLists, assignItemIds } = require('./item_ids');
+const { migrateDates } = require('./cv_dates');
+const { FONTS_DIR } = require('./font_assets');
+const {
+    HISTORY_LIMIT,
+    hashData,
+    saveRevision,
+    getRevision,
+    getLatestRevision,
+    findRevisionByHash,
+    listRevisions,
+    importLegacyBackups,
+    diffData
+} = require('./revision_store');
+const { mergeData } = require('./data_merge');
+const { IMPORT_FORMATS, importPublications } = require('./bibliography_import');
+const { DEFAULT_CITATION_STYLE, CITATION_STYLES, listCitationStyles } = require('./citation_styles');
+const { toJSONResume, fromJSONResume } = require('./json_resume');
+const { EUROPASS_FORMATS, toEuropass } = require('./europass');
+const { renderDOCX } = require('./docx_export');
+const { TEXT_FORMATS, textOptionsError, renderText } = require('./text_export');
+const { PUBLICATION_FIELDS, PUBLICATION_KINDS, DEFAULT_PUBLICATION_CATEGORIES } = require('./publication_categories');
 
 const app = express();
 const PORT = process.env.PORT || 3000;
+// Offline support of the editor (service worker); SERVICE_WORKER=off disables it
+const SERVICE_WORKER = process.env.SERVICE_WORKER !== 'off';
 
 // Base directory for CV files
 const BASE_DIR = __dirname;
 const DATA_FILE = path.join(BASE_DIR, 'cv_data.json');
-const TEMPLATE_FILE = path.join(BASE_DIR, 'templates', 'cv_template.html');
 const PHOTOS_DIR = path.join(BASE_DIR, 'fotos');
 
 // Middleware
@@ -26,9 +60,34 @@ app.use(express.urlencoded({ extended: true }));
 // Serve static files from editor directory
 app.use('/editor', express.static(path.join(BASE_DIR, 'editor')));
 
+// Editor libraries from node_modules, at the versions pinned in package.json
+const VENDOR_FILES = {
+    'vue.global.prod.js': require.resolve('vue/dist/vue.global.prod.js'),
+    'Sortable.min.js': require.resolve('sortablejs/Sortable.min.js')
+};
+app.get('/vendor/:file', (req, res) => {
+    const file = VENDOR_FILES[req.params.file];
+    if (!file) {
+        return res.status(404).json({ error: 'Not found' });
+    }
+    res.sendFile(file);
+});
+
+// Service worker of the editor, served from the root so it can cache /api/data as well
+app.get('/sw.js', (req, res) => {
+    if (!SERVICE_WORKER) {
+        return res.status(404).json({ error: 'Service worker disabled' });
+    }
+    res.set('Cache-Control', 'no-cache');
+    res.sendFile(path.join(BASE_DIR, 'editor', 'sw.js'));
+});
+
 // Serve photos directory
 app.use('/fotos', express.static(PHOTOS_DIR));
 
+// Self-hosted fonts of the templates, linked by the preview (PDFs inline them)
+app.use('/fonts', express.static(FONTS_DIR));
+
 // Configure multer for photo uploads
 const storage = multer.diskStorage({
     destination: (req, file, cb) => {
@@ -59,6 +118,88 @@ const upload = multer({
     }
 });
 
+// Look up a registered template by name (API requests may not pass file paths)
+const findTemplate = (name) => {
+    const id = name || DEFAULT_TEMPLATE;
+    if (!listTemplates().some(t => t.id === id)) {
+        return null;
+    }
+    return resolveTemplate(id);
+};
+
+// Read and check the options shared by the render and export endpoints
+// Returns { data, lang, profile, citationStyle, fallback }, or null after answering 400
+// With the 'error' fallback, missing translations are a 400 that lists their paths
+const renderOptions = (req, res, defaultFallback = 'fallback') => {
+    const { data, lang, profile, citationStyle, fallback = defaultFallback } = req.body;
+    let error = null;
+    if (!data || !lang) {
+        error = 'Missing data or lang parameter';
+    } else if (!getLanguages(data).includes(lang)) {
+        error = `Unknown language '${lang}' (available: ${getLanguages(data).join(', ')})`;
+    } else if (!FALLBACK_POLICIES.includes(fallback)) {
+        error = `Invalid fallback, expected one of: ${FALLBACK_POLICIES.join(', ')}`;
+    } else if (profile && !data.profiles?.[profile]) {
+        error = `Unknown profile: ${profile}`;
+    } else if (citationStyle && !CITATION_STYLES[citationStyle]) {
+        error = `Unknown citation style: ${citationStyle}`;
+    }
+    if (error) {
+        res.status(400).json({ error });
+        return null;
+    }
+    if (fallback === 'error') {
+        const { missing, empty } = getTranslationStatus(applyProfile(data, profile)).byLanguage[lang];
+        if (missing.length + empty.length > 0) {
+            res.status(400).json({ error: `Missing ${lang} translations`, missing: [...missing, ...empty] });
+            return null;
+        }
+    }
+    return { data, lang, profile, citationStyle, fallback };
+};
+
+// Read the saved CV data
+const readData = () => JSON.parse(fs.readFileSync(DATA_FILE, 'utf-8'));
+
+// Revision token of the saved data, sent as ETag and expected back in If-Match
+const dataEtag = (data) => `"${hashData(data)}"`;
+
+// Write the CV data and record it as a revision
+const writeData = (data, message) => {
+    // Keep the version on disk when the history doesn't have it yet (before the first
+    // tracked save, or after edits outside the editor), so a conflicting save can be merged against it
+    if (fs.existsSync(DATA_FILE)) {
+        const current = readData();
+        const latest = getLatestRevision();
+        if (!latest || latest.hash !== hashData(current)) {
+            saveRevision(current, latest ? 'Changed outside the editor' : 'Version before the first tracked save');
+        }
+    }
+    fs.writeFileSync(DATA_FILE, JSON.stringify(data, null, 2), 'utf-8');
+    return saveRevision(data, message);
+};
+
+// Migrate the data file once at start, so GET /api/data hands out the file as it is
+const migrateDataFile = () => {
+    if (!fs.existsSync(DATA_FILE)) {
+        return;
+    }
+    const data = readData();
+
+    // Entries without an id get one, so the ids the editor sees are the stored ones
+    const assigned = assignItemIds(data);
+    if (assigned > 0) {
+        writeData(data, `Assigned ids to ${assigned} entries`);
+        console.log(`Assigned ids to ${assigned} entries in ${path.basename(DATA_FILE)}`);
+    }
+    // Free-text periods and dates become structured dates
+    const migrated = migrateDates(data, getLanguages(data));
+    if (migrated > 0) {
+        writeData(data, `Converted the dates of ${migrated} entries to structured dates`);
+        console.log(`Converted the dates of ${migrated} entries in ${path.basename(DATA_FILE)}`);
+    }
+};
+
 // Redirect root to editor
 app.get('/', (req, res) => {
     res.redirect('/editor');
@@ -75,7 +216,8 @@ app.get('/api/data', (req, res) => {
         if (!fs.existsSync(DATA_FILE)) {
             return res.status(404).json({ error: 'Data file not found' });
         }
-        const data = JSON.parse(fs.readFileSync(DATA_FILE, 'utf-8'));
+        const data = readData();
+        res.set('ETag', dataEtag(data));
         res.json(data);
     } catch (err) {
         console.error('Error reading data:', err);
@@ -83,47 +225,310 @@ app.get('/api/data', (req, res) => {
     }
 });
 
-// API: Save CV data
+// API: Save CV data (optional ?message= is stored with the revision)
+// Requires If-Match with the ETag from GET /api/data; a stale ETag gets 409 with a merge proposal
 app.post('/api/data', (req, res) => {
     try {
         const data = req.body;
+        const ifMatch = req.get('If-Match');
 
-        // Create backup
-        if (fs.existsSync(DATA_FILE)) {
-            const backupPath = DATA_FILE.replace('.json', `_backup_${Date.now()}.json`);
-            fs.copyFileSync(DATA_FILE, backupPath);
-
-            // Keep only last 5 backups
-            const backupPattern = /cv_data_backup_\d+\.json$/;
-            const backups = fs.readdirSync(BASE_DIR)
-                .filter(f => backupPattern.test(f))
-                .sort()
-                .reverse();
-
-            backups.slice(5).forEach(backup => {
-                fs.unlinkSync(path.join(BASE_DIR, backup));
+        if (!ifMatch) {
+            return res.status(428).json({ error: 'Missing If-Match header: send the ETag from GET /api/data' });
+        }
+
+        // Reject data that doesn't match the schema before touching the file
+        const validation = validateData(data);
+        if (!validation.valid) {
+            return res.status(400).json({
+                error: 'Data does not match the CV schema',
+                details: validation.errors
             });
         }
 
-        // Save new data
-        fs.writeFileSync(DATA_FILE, JSON.stringify(data, null, 2), 'utf-8');
-        res.json({ success: true, message: 'Data saved successfully' });
+        // New entries from API clients get an id; existing ids are kept
+        const assigned = assignItemIds(data);
+
+        // Someone else saved since this client loaded the data: merge against the version it started from
+        if (fs.existsSync(DATA_FILE)) {
+            const current = readData();
+            const currentEtag = dataEtag(current);
+            if (ifMatch !== '*' && ifMatch !== currentEtag) {
+                const base = findRevisionByHash(ifMatch.replace(/^W\//, '').replace(/"/g, ''));
+                const { merged, conflicts } = mergeData(base ? base.data : undefined, data, current);
+                res.set('ETag', currentEtag);
+                return res.status(409).json({
+                    error: 'The data was changed in another session since you loaded it',
+                    etag: currentEtag,
+                    baseFound: !!base,
+                    current,
+                    merged,
+                    conflicts
+                });
+            }
+        }
+
+        const revision = writeData(data, req.query.message || '');
+        const etag = dataEtag(data);
+        res.set('ETag', etag);
+        // The ids of every list in the saved order, so the editor can take over the ones assigned here
+        const ids = Object.fromEntries(getItemLists(data).map(list => [list.key, list.items.map(item => item.id)]));
+        res.json({ success: true, message: 'Data saved successfully', assignedIds: assigned, ids, revision, etag });
     } catch (err) {
         console.error('Error saving data:', err);
         res.status(500).json({ error: 'Failed to save data' });
     }
 });
 
+// API: List saved revisions, newest first
+app.get('/api/history', (req, res) => {
+    try {
+        res.json({ limit: HISTORY_LIMIT || null, revisions: listRevisions() });
+    } catch (err) {
+        console.error('Error listing history:', err);
+        res.status(500).json({ error: 'Failed to list history' });
+    }
+});
+
+// API: Field-level diff between two revisions (to=current compares with the saved data)
+app.get('/api/history/diff', (req, res) => {
+    try {
+        const { from, to = 'current' } = req.query;
+        if (!from) {
+            return res.status(400).json({ error: 'Missing query parameter: from' });
+        }
+        const before = getRevision(from);
+        if (!before) {
+            return res.status(404).json({ error: `Revision not found: ${from}` });
+        }
+        let after;
+        if (to === 'current') {
+            after = { id: 'current', data: readData() };
+        } else {
+            after = getRevision(to);
+            if (!after) {
+                return res.status(404).json({ error: `Revision not found: ${to}` });
+            }
+        }
+        res.json({ from: before.id, to: after.id, changes: diffData(before.data, after.data) });
+    } catch (err) {
+        console.error('Error comparing revisions:', err);
+        res.status(500).json({ error: 'Failed to compare revisions' });
+    }
+});
+
+// API: Get one revision with its data
+app.get('/api/history/:id', (req, res) => {
+    try {
+        const revision = getRevision(req.params.id);
+        if (!revision) {
+            return res.status(404).json({ error: `Revision not found: ${req.params.id}` });
+        }
+        res.json(revision);
+    } catch (err) {
+        console.error('Error reading revision:', err);
+        res.status(500).json({ error: 'Failed to read revision' });
+    }
+});
+
+// API: Restore a revision as the current data (recorded as a new revision)
+app.post('/api/history/:id/restore', (req, res) => {
+    try {
+        const revision = getRevision(req.params.id);
+        if (!revision) {
+            return res.status(404).json({ error: `Revision not found: ${req.params.id}` });
+        }
+        const data = revision.data;
+
+        // Older revisions may predate schema changes
+        const validation = validateData(data);
+        if (!validation.valid) {
+            return res.status(400).json({
+                error: 'This revision does not match the current CV schema',
+                details: validation.errors
+            });
+        }
+
+        assignItemIds(data);
+        const restored = writeData(data, `Restored the version of ${revision.savedAt}`);
+        res.json({ success: true, message: 'Revision restored', revision: restored, data });
+    } catch (err) {
+        console.error('Error restoring revision:', err);
+        res.status(500).json({ error: 'Failed to restore revision' });
+    }
+});
+
+// API: List available CV templates
+app.get('/api/templates', (req, res) => {
+    try {
+        res.json({ default: DEFAULT_TEMPLATE, templates: listTemplates() });
+    } catch (err) {
+        console.error('Error listing templates:', err);
+        res.status(500).json({ error: 'Failed to list templates' });
+    }
+});
+
+// API: List the citation styles for the publication lists
+app.get('/api/citation-styles', (req, res) => {
+    res.json({ default: DEFAULT_CITATION_STYLE, styles: listCitationStyles() });
+});
+
+// API: Publication fields, kinds and the default categories (used when the data defines none)
+app.get('/api/publication-categories', (req, res) => {
+    res.json({ fields: PUBLICATION_FIELDS, kinds: PUBLICATION_KINDS, defaults: DEFAULT_PUBLICATION_CATEGORIES });
+});
+
+// API: Page formats and default page settings for the editor's page layout form
+app.get('/api/page-settings', (req, res) => {
+    res.json({ formats: PAGE_FORMATS, defaults: DEFAULT_PAGE_SETTINGS });
+});
+
+// API: List the tailored CV profiles in the saved data
+app.get('/api/profiles', (req, res) => {
+    try {
+        if (!fs.existsSync(DATA_FILE)) {
+            return res.status(404).json({ error: 'Data file not found' });
+        }
+        const data = JSON.parse(fs.readFileSync(DATA_FILE, 'utf-8'));
+        res.json({ profiles: listProfiles(data) });
+    } catch (err) {
+        console.error('Error listing profiles:', err);
+        res.status(500).json({ error: 'Failed to list profiles' });
+    }
+});
+
+// API: Translation completeness report for the saved data
+app.get('/api/translation-status', (req, res) => {
+    try {
+        if (!fs.existsSync(DATA_FILE)) {
+            return res.status(404).json({ error: 'Data file not found' });
+        }
+        const data = JSON.parse(fs.readFileSync(DATA_FILE, 'utf-8'));
+        res.json(getTranslationStatus(data));
+    } catch (err) {
+        console.error('Error checking translations:', err);
+        res.status(500).json({ error: 'Failed to check translations' });
+    }
+});
+
+// API: Preview publications from a BibTeX, RIS or CSL-JSON text
+// Nothing is saved: the editor adds the selected entries to its data
+app.post('/api/import/publications', (req, res) => {
+    try {
+        const { text, format, data } = req.body;
+
+        if (!text || typeof text !== 'string') {
+            return res.status(400).json({ error: 'Missing text parameter' });
+        }
+        if (format && !IMPORT_FORMATS.includes(format)) {
+            return res.status(400).json({ error: `Invalid format, expected one of: ${IMPORT_FORMATS.join(', ')}` });
+        }
+
+        // Duplicates are checked against the editor's data, including unsaved changes
+        const existing = data || (fs.existsSync(DATA_FILE) ? readData() : {});
+        res.json(importPublications(text, format, existing));
+    } catch (err) {
+        console.error('Error importing publications:', err);
+        res.status(400).json({ error: err.message });
+    }
+});
+
+// API: The saved data as a JSON Resume in one language
+// e.g. /api/export/jsonresume?lang=en&profile=academic&citationStyle=apa
+app.get('/api/export/jsonresume', (req, res) => {
+    try {
+        if (!fs.existsSync(DATA_FILE)) {
+            return res.status(404).json({ error: 'Data file not found' });
+        }
+        const data = readData();
+        const languages = getLanguages(data);
+        const lang = req.query.lang || languages[0];
+        const { profile, citationStyle } = req.query;
+
+        if (!languages.includes(lang)) {
+            return res.status(400).json({ error: `Unknown language '${lang}' (available: ${languages.join(', ')})` });
+        }
+        if (profile && !data.profiles?.[profile]) {
+            return res.status(400).json({ error: `Unknown profile '${profile}'` });
+        }
+        if (citationStyle && !CITATION_STYLES[citationStyle]) {
+            return res.status(400).json({ error: `Unknown citation style '${citationStyle}'` });
+        }
+
+        res.setHeader('Content-Disposition', `inline; filename="resume_${lang}.json"`);
+        res.json(toJSONResume(data, lang, { profile, citationStyle }));
+    } catch (err) {
+        console.error('Error exporting JSON Resume:', err);
+        res.status(500).json({ error: 'Failed to export JSON Resume' });
+    }
+});
+
+// API: Merge JSON Resumes ({ resumes: { en: {...}, nl: {...} } }) into the data
+// Nothing is saved: returns { data, warnings } for the editor to review
+app.post('/api/import/jsonresume', (req, res) => {
+    try {
+        const { resumes, data } = req.body;
+
+        if (!resumes || typeof resumes !== 'object' || Array.isArray(resumes)) {
+            return res.status(400).json({ error: 'Missing resumes parameter ({ "<lang>": <JSON Resume> })' });
+        }
+
+        const base = data || (fs.existsSync(DATA_FILE) ? readData() : {});
+        let result;
+        try {
+            result = fromJSONResume(resumes, base);
+        } catch (err) {
+            return res.status(400).json({ error: err.message });
+        }
+
+        const validation = validateData(result.data);
+        if (!validation.valid) {
+            return res.status(400).json({
+                error: 'The imported data does not match the CV schema',
+                details: validation.errors
+            });
+        }
+        res.json(result);
+    } catch (err) {
+        console.error('Error importing JSON Resume:', err);
+        res.status(500).json({ error: 'Failed to import JSON Resume' });
+    }
+});
+
+// API: Europass CV of the editor's data in one language
+// Returns { filename, content, warnings }; the editor offers the content as a download
+app.post('/api/export/europass', (req, res) => {
+    try {
+        const options = renderOptions(req, res);
+        if (!options) return;
+        const { data, lang, profile, citationStyle, fallback } = options;
+        const { format = 'xml' } = req.body;
+        if (!EUROPASS_FORMATS.includes(format)) {
+            return res.status(400).json({ error: `Invalid format, expected one of: ${EUROPASS_FORMATS.join(', ')}` });
+        }
+
+        const { content, warnings } = toEuropass(data, lang, { format, profile, citationStyle, fallback });
+        const suffix = profile ? `_${profile}` : '';
+        res.json({ filename: `europass${suffix}_${lang}.${format}`, content, warnings });
+    } catch (err) {
+        console.error('Error exporting Europass CV:', err);
+        res.status(500).json({ error: 'Failed to export Europass CV: ' + err.message });
+    }
+});
+
 // API: Render HTML preview
+// Missing translations are highlighted unless another fallback policy is requested
 app.post('/api/preview', (req, res) => {
     try {
-        const { data, lang } = req.body;
-
-        if (!data || !lang) {
-            return res.status(400).json({ error: 'Missing data or lang parameter' });
+        const options = renderOptions(req, res, 'mark');
+        if (!options) return;
+        const { data, lang, profile, citationStyle, fallback } = options;
+        const { template } = req.body;
+        const templateFile = findTemplate(template);
+        if (!templateFile) {
+            return res.status(400).json({ error: `Unknown template: ${template}` });
         }
 
-        const html = renderHTML(data, TEMPLATE_FILE, lang, BASE_DIR);
+        const html = renderHTML(data, templateFile, lang, BASE_DIR, { fallback, profile, citationStyle, fontUrl: '/fonts/' });
         res.send(html);
     } catch (err) {
         console.error('Error rendering preview:', err);
@@ -134,25 +539,33 @@ app.post('/api/preview', (req, res) => {
 // API: Generate PDF
 app.post('/api/generate-pdf', async (req, res) => {
     try {
-        const { data, lang } = req.body;
-
-        if (!data || !lang) {
-            return res.status(400).json({ error: 'Missing data or lang parameter' });
+        const options = renderOptions(req, res);
+        if (!options) return;
+        const { data, lang, profile, citationStyle, fallback } = options;
+        const { template } = req.body;
+        const templateFile = findTemplate(template);
+        if (!templateFile) {
+            return res.status(400).json({ error: `Unknown template: ${template}` });
         }
 
-        console.log('Generating PDF for language:', lang);
-        const html = renderHTML(data, TEMPLATE_FILE, lang, BASE_DIR);
+        console.log('Generating PDF for language:', lang, 'template:', template || DEFAULT_TEMPLATE, 'profile:', profile || '(none)');
+        const html = renderHTML(data, templateFile, lang, BASE_DIR, { fallback, profile, citationStyle });
         console.log('HTML rendered, generating PDF...');
-        const pdfBuffer = await generatePDFBuffer(html, BASE_DIR);
-        console.log('PDF generated, size:', pdfBuffer.length, 'bytes');
+        const pageSettings = resolvePageSettings(applyProfile(data, profile));
+        const { pdf: pdfBuffer, pages, warnings } = await generatePDFBuffer(html, BASE_DIR, pageSettings);
+        console.log('PDF generated, size:', pdfBuffer.length, 'bytes,', pages, 'pages');
 
         const name = (data.personal?.name || 'cv').toLowerCase().replace(/\s+/g, '_');
-        const filename = `cv_${name}_${lang}.pdf`;
+        const suffix = profile ? `_${profile}` : '';
+        const filename = `cv_${name}${suffix}_${lang}.pdf`;
 
         // Ensure we send as proper binary
         res.setHeader('Content-Type', 'application/pdf');
         res.setHeader('Content-Length', pdfBuffer.length);
         res.setHeader('Content-Disposition', `attachment; filename="${filename}"`);
+        // Page count and problems (e.g. overflow of fitToPages) for the editor
+        res.setHeader('X-PDF-Pages', pages);
+        res.setHeader('X-PDF-Warnings', encodeURIComponent(JSON.stringify(warnings)));
         res.end(Buffer.from(pdfBuffer));
     } catch (err) {
         console.error('Error generating PDF:', err);
@@ -160,6 +573,59 @@ app.post('/api/generate-pdf', async (req, res) => {
     }
 });
 
+// API: Generate a Word document
+app.post('/api/generate-docx', async (req, res) => {
+    try {
+        const options = renderOptions(req, res);
+        if (!options) return;
+        const { data, lang, profile, citationStyle, fallback } = options;
+
+        console.log('Generating DOCX for language:', lang, 'profile:', profile || '(none)');
+        const buffer = await renderDOCX(data, lang, BASE_DIR, { fallback, profile, citationStyle });
+
+        const name = (data.personal?.name || 'cv').toLowerCase().replace(/\s+/g, '_');
+        const suffix = profile ? `_${profile}` : '';
+        const filename = `cv_${name}${suffix}_${lang}.docx`;
+
+        res.setHeader('Content-Type', 'application/vnd.openxmlformats-officedocument.wordprocessingml.document');
+        res.setHeader('Content-Length', buffer.length);
+        res.setHeader('Content-Disposition', `attachment; filename="${filename}"`);
+        res.end(buffer);
+    } catch (err) {
+        console.error('Error generating DOCX:', err);
+        res.status(500).json({ error: 'Failed to generate DOCX: ' + err.message });
+    }
+});
+
+// API: Plain-text or Markdown CV for applicant tracking systems and web forms
+// Optional width (0: no wrapping) and bullet; see text_export.js
+app.post('/api/generate-text', (req, res) => {
+    try {
+        const options = renderOptions(req, res);
+        if (!options) return;
+        const { data, lang, profile, citationStyle, fallback } = options;
+        const { format = 'txt', width, bullet } = req.body;
+        if (!TEXT_FORMATS.includes(format)) {
+            return res.status(400).json({ error: `Invalid format, expected one of: ${TEXT_FORMATS.join(', ')}` });
+        }
+        const optionsError = textOptionsError({ format, width: width ?? undefined, bullet });
+        if (optionsError) {
+            return res.status(400).json({ error: optionsError });
+        }
+
+        const text = renderText(data, lang, BASE_DIR, { format, width, bullet, profile, citationStyle, fallback });
+
+        const name = (data.personal?.name || 'cv').toLowerCase().replace(/\s+/g, '_');
+        const suffix = profile ? `_${profile}` : '';
+        res.setHeader('Content-Type', `${format === 'md' ? 'text/markdown' : 'text/plain'}; charset=utf-8`);
+        res.setHeader('Content-Disposition', `attachment; filename="cv_${name}${suffix}_${lang}.${format}"`);
+        res.send(text);
+    } catch (err) {
+        console.error('Error generating text CV:', err);
+        res.status(500).json({ error: 'Failed to generate text CV: ' + err.message });
+    }
+});
+
 // API: Upload photo
 app.post('/api/upload-photo', upload.single('photo'), (req, res) => {
     try {
@@ -186,7 +652,14 @@ app.use((err, req, res, next) => {
 });
 
 // Start server
-app.listen(PORT, () => {
+// Before listening, so no request sees the data before the migration
+try {
+    migrateDataFile();
+} catch (err) {
+    console.warn(`Warning: Could not migrate ${path.basename(DATA_FILE)}: ${err.message}`);
+}
+
+const server = app.listen(PORT, () => {
     console.log(`
 ╔════════════════════════════════════════════════════╗
 ║          CV Editor Server Started                   ║
@@ -195,4 +668,23 @@ app.listen(PORT, () => {
 ║  API:     http://localhost:${PORT}/api                 ║
 ╚════════════════════════════════════════════════════╝
     `);
+
+    // Earlier versions kept cv_data_backup_<ts>.json files; make them part of the history
+    const imported = importLegacyBackups(BASE_DIR);
+    if (imported > 0) {
+        console.log(`Imported ${imported} backup file(s) into the revision history`);
+    }
+
+    // Launch the shared PDF browser up front so the first download is fast
+    getBrowser().catch(err => {
+        console.warn('PDF browser not available:', err.message);
+    });
 });
+
+// Close the shared browser on shutdown
+const shutdown = () => {
+    server.close();
+    closeBrowser().finally(() => process.exit(0));
+};
+process.on('SIGINT', shutdown);
+process.on('SIGTERM', shutdown);
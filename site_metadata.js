@@ -0,0 +1,233 @@
+/**
+ * Site Metadata - Search engine and social media metadata of the portfolio
+ * Used by generate_portfolio.js (page <head>, sitemap.xml and robots.txt)
+ *
+ * Works on localized data as the portfolio templates see it. Every page gets a
+ * canonical URL, hreflang alternates to the same page in the other languages and
+ * Open Graph/Twitter card tags with the portrait. Structured data (JSON-LD,
+ * schema.org) is made from the data: a Person on the home page, the
+ * publications as ScholarlyArticle/Book and the presentations as Event.
+ */
+
+// Open Graph locales (language_TERRITORY) of the language codes
+const OG_LOCALES = {
+    en: 'en_GB',
+    nl: 'nl_NL'
+};
+
+// schema.org type per publication kind (see publication_categories.js)
+const SCHEMA_TYPES = {
+    book: 'Book',
+    chapter: 'ScholarlyArticle',
+    article: 'ScholarlyArticle',
+    report: 'Report'
+};
+
+const visible = items => (items || []).filter(item => item.visible !== false);
+
+function ogLocale(lang) {
+    return OG_LOCALES[lang] || lang;
+}
+
+/**
+ * A description of at most `length` characters, cut at a word with an ellipsis
+ */
+function summarize(text, length = 200) {
+    const clean = String(text || '').replace(/\s+/g, ' ').trim();
+    if (clean.length <= length) return clean;
+    return `${clean.slice(0, length - 1).replace(/\s+\S*$/, '')}…`;
+}
+
+/**
+ * Absolute URL of a page from its output path; index.html is left off ("cv/index.html" -> ".../cv/")
+ */
+function pageUrl(siteUrl, outputPath) {
+    return `${siteUrl.replace(/\/$/, '')}/${outputPath.replace(/(^|\/)index\.html$/, '$1')}`;
+}
+
+/**
+ * Open Graph and Twitter card tags: [{ attribute, key, content }]
+ * attribute is 'property' for Open Graph and 'name' for Twitter
+ */
+function socialTags({ type = 'website', title, description, url, image, imageAlt, siteName, lang, alternateLangs = [] }) {
+    const tags = [
+        ['property', 'og:type', type],
+        ['property', 'og:title', title],
+        ['property', 'og:description', description],
+        ['property', 'og:url', url],
+        ['property', 'og:site_name', siteName],
+        ['property', 'og:locale', ogLocale(lang)],
+        ...alternateLangs.map(code => ['property', 'og:locale:alternate', ogLocale(code)]),
+        ['property', 'og:image', image],
+        ['property', 'og:image:alt', imageAlt],
+        ['name', 'twitter:card', 'summary'],
+        ['name', 'twitter:title', title],
+        ['name', 'twitter:description', description],
+        ['name', 'twitter:image', image],
+        ['name', 'twitter:image:alt', imageAlt]
+    ];
+    return tags
+        .filter(([, , content]) => content)
+        .map(([attribute, key, content]) => ({ attribute, key, content }));
+}
+
+/**
+ * Person of the CV owner, with the current position and the institutions of the education
+ */
+function personSchema(cv, { url, image }) {
+    const personal = cv.personal || {};
+    const current = visible(cv.experience).find(job => !job.end) || visible(cv.experience)[0];
+    const schema = {
+        '@type': 'Person',
+        '@id': `${url}#person`,
+        name: personal.name,
+        honorificSuffix: personal.credentials,
+        description: cv.profile,
+        url,
+        image
+    };
+    if (current) {
+        schema.jobTitle = current.title;
+        schema.worksFor = { '@type': 'Organization', name: current.company };
+    }
+    if (personal.location) {
+        schema.address = { '@type': 'PostalAddress', addressLocality: personal.location };
+    }
+    const alumniOf = [...new Set(visible(cv.education).map(edu => edu.institution).filter(name => name))];
+    if (alumniOf.length > 0) {
+        schema.alumniOf = alumniOf.map(name => ({ '@type': 'EducationalOrganization', name }));
+    }
+    if (personal.linkedin) {
+        schema.sameAs = [personal.linkedin];
+    }
+    return dropEmpty(schema);
+}
+
+/**
+ * The publications of the publications page as ScholarlyArticle, Book and Report
+ * `url` is the page URL; every entry links to its card (#pub-<id>)
+ */
+function publicationSchemas(cv, url) {
+    const people = names => (names || []).map(name => ({ '@type': 'Person', name }));
+    const schemas = [];
+    for (const category of cv.publicationLists || []) {
+        for (const pub of visible(category.items)) {
+            const schema = {
+                '@type': SCHEMA_TYPES[category.kind] || 'CreativeWork',
+                '@id': `${url}#pub-${pub.id}`,
+                name: pub.title,
+                author: people(pub.authors),
+                datePublished: pub.year,
+                url: pub.url,
+                sameAs: pub.doi ? `https://doi.org/${pub.doi}` : undefined,
+                pagination: pub.pages
+            };
+            if (pub.publisher) {
+                schema.publisher = { '@type': 'Organization', name: pub.publisher, location: pub.place };
+            }
+            // The journal or book the entry appeared in
+            if (pub.publication) {
+                schema.isPartOf = category.kind === 'chapter'
+                    ? { '@type': 'Book', name: pub.publication, editor: people(pub.editors) }
+                    : { '@type': 'Periodical', name: pub.publication };
+            }
+            schemas.push(dropEmpty(schema));
+        }
+    }
+    return schemas;
+}
+
+/**
+ * The presentations as Events, with the CV owner as performer
+ * `url` is the page URL; every event links to its card (#pres-<id>)
+ */
+function eventSchemas(cv, url) {
+    const performer = { '@type': 'Person', name: (cv.personal || {}).name };
+    return visible(cv.presentations).map(pres => dropEmpty({
+        '@type': 'Event',
+        '@id': `${url}#pres-${pres.id}`,
+        name: pres.title,
+        startDate: pres.date,
+        location: pres.location ? { '@type': 'Place', name: pres.location, address: pres.location } : undefined,
+        superEvent: pres.event ? { '@type': 'Event', name: pres.event } : undefined,
+        performer,
+        eventAttendanceMode: 'https://schema.org/OfflineEventAttendanceMode'
+    }));
+}
+
+/**
+ * Remove empty values (undefined, null, '' and []) from a schema, at every level
+ */
+function dropEmpty(value) {
+    if (Array.isArray(value)) {
+        return value.map(dropEmpty);
+    }
+    if (value && typeof value === 'object') {
+        const result = {};
+        for (const [key, item] of Object.entries(value)) {
+            const cleaned = dropEmpty(item);
+            if (cleaned === undefined || cleaned === null || cleaned === '' ||
+                (Array.isArray(cleaned) && cleaned.length === 0)) continue;
+            result[key] = cleaned;
+        }
+        return result;
+    }
+    return value;
+}
+
+/**
+ * JSON-LD for a <script type="application/ld+json"> tag; several schemas become a @graph
+ * "<" is escaped so that titles can't close the script tag
+ */
+function jsonLd(schemas) {
+    const list = Array.isArray(schemas) ? schemas : [schemas];
+    if (list.length === 0) return '';
+    const document = list.length === 1
+        ? { '@context': 'https://schema.org', ...list[0] }
+        : { '@context': 'https://schema.org', '@graph': list };
+    return JSON.stringify(document).replace(/</g, '\\u003c');
+}
+
+function escapeXml(text) {
+    return String(text).replace(/&/g, '&amp;').replace(/</g, '&lt;').replace(/>/g, '&gt;').replace(/"/g, '&quot;');
+}
+
+/**
+ * sitemap.xml of the pages: [{ url, alternates: [{ lang, url }] }]
+ * Every URL lists the same page in all languages (hreflang), as Google asks
+ */
+function buildSitemap(pages) {
+    const lines = [
+        '<?xml version="1.0" encoding="UTF-8"?>',
+        '<urlset xmlns="http://www.sitemaps.org/schemas/sitemap/0.9" xmlns:xhtml="http://www.w3.org/1999/xhtml">'
+    ];
+    for (const page of pages) {
+        lines.push('  <url>');
+        lines.push(`    <loc>${escapeXml(page.url)}</loc>`);
+        for (const alternate of page.alternates || []) {
+            lines.push(`    <xhtml:link rel="alternate" hreflang="${escapeXml(alternate.lang)}" href="${escapeXml(alternate.url)}"/>`);
+        }
+        lines.push('  </url>');
+    }
+    lines.push('</urlset>');
+    return lines.join('\n') + '\n';
+}
+
+/**
+ * robots.txt that allows everything and points to the sitemap
+ */
+function buildRobots(siteUrl) {
+    return `User-agent: *\nAllow: /\n\nSitemap: ${siteUrl.replace(/\/$/, '')}/sitemap.xml\n`;
+}
+
+module.exports = {
+    summarize,
+    pageUrl,
+    socialTags,
+    personSchema,
+    publicationSchemas,
+    eventSchemas,
+    jsonLd,
+    buildSitemap,
+    buildRobots
+};
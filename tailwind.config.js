@@ -0,0 +1,16 @@
+/**
+ * Tailwind CSS configuration of the editor
+ * Used by npm run build:editor-css, which compiles editor/styles.src.css into editor/styles.css
+ */
+
+module.exports = {
+    content: ['./editor/index.html', './editor/app.js'],
+    theme: {
+        extend: {
+            colors: {
+                primary: '#1a365d',
+                accent: '#2c5282',
+            }
+        }
+    }
+};
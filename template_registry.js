@@ -0,0 +1,62 @@
+/**
+ * CV Template Registry - Named CV layouts under templates/cv/
+ * Used by generate_cv.js CLI and server.js
+ *
+ * Each template is a folder with:
+ *   template.html  - Nunjucks template rendered by renderHTML
+ *   template.json  - metadata: { name, description, sections }
+ */
+
+const fs = require('fs');
+const path = require('path');
+
+const CV_TEMPLATES_DIR = path.join(__dirname, 'templates', 'cv');
+const DEFAULT_TEMPLATE = 'classic';
+
+/**
+ * List all registered templates with their metadata
+ */
+function listTemplates() {
+    if (!fs.existsSync(CV_TEMPLATES_DIR)) {
+        return [];
+    }
+    return fs.readdirSync(CV_TEMPLATES_DIR, { withFileTypes: true })
+        .filter(entry => entry.isDirectory())
+        .filter(entry => fs.existsSync(path.join(CV_TEMPLATES_DIR, entry.name, 'template.html')))
+        .map(entry => {
+            const metaPath = path.join(CV_TEMPLATES_DIR, entry.name, 'template.json');
+            const meta = fs.existsSync(metaPath) ? JSON.parse(fs.readFileSync(metaPath, 'utf-8')) : {};
+            return {
+                id: entry.name,
+                name: meta.name || entry.name,
+                description: meta.description || '',
+                sections: meta.sections || [],
+                default: entry.name === DEFAULT_TEMPLATE
+            };
+        })
+        .sort((a, b) => (b.default - a.default) || a.name.localeCompare(b.name));
+}
+
+/**
+ * Resolve a template name (or, for backwards compatibility, a file path) to its HTML file
+ * Throws if neither a registered template nor an existing file matches
+ */
+function resolveTemplate(nameOrPath) {
+    const name = nameOrPath || DEFAULT_TEMPLATE;
+    const registered = path.join(CV_TEMPLATES_DIR, name, 'template.html');
+    if (/^[\w-]+$/.test(name) && fs.existsSync(registered)) {
+        return registered;
+    }
+    if (fs.existsSync(name) && fs.statSync(name).isFile()) {
+        return path.resolve(name);
+    }
+    const available = listTemplates().map(t => t.id).join(', ');
+    throw new Error(`Unknown template '${name}' (available: ${available})`);
+}
+
+module.exports = {
+    CV_TEMPLATES_DIR,
+    DEFAULT_TEMPLATE,
+    listTemplates,
+    resolveTemplate
+};
@@ -0,0 +1,55 @@
+/**
+ * JSON Resume round trip: export every language and import the resumes again
+ */
+
+const test = require('node:test');
+const assert = require('node:assert');
+const { toJSONResume, fromJSONResume } = require('../json_resume');
+const { getLanguages } = require('../generate_cv_lib');
+
+const loadData = () => JSON.parse(JSON.stringify(require('../cv_data.json')));
+
+const roundTrip = (data) => {
+    const resumes = Object.fromEntries(getLanguages(data).map(lang => [lang, toJSONResume(data, lang)]));
+    return fromJSONResume(resumes, data);
+};
+
+const ids = items => (items || []).map(item => item.id);
+const publicationIds = data => Object.values(data.publications || {}).flat().map(pub => pub.id).sort();
+
+test('round trip keeps every list entry', () => {
+    const data = loadData();
+    const { data: imported } = roundTrip(data);
+
+    assert.deepStrictEqual(ids(imported.experience), ids(data.experience));
+    assert.deepStrictEqual(ids(imported.education), ids(data.education));
+    assert.deepStrictEqual(ids(imported.references), ids(data.references));
+    assert.deepStrictEqual(publicationIds(imported), publicationIds(data));
+});
+
+test('round trip keeps hidden entries at their place', () => {
+    const data = loadData();
+    data.experience[1].visible = false;
+    const { data: imported } = roundTrip(data);
+
+    assert.deepStrictEqual(ids(imported.experience), ids(data.experience));
+    assert.strictEqual(imported.experience[1].visible, false);
+});
+
+test('round trip keeps the entries of hidden sections', () => {
+    const data = loadData();
+    data.sectionVisibility = { ...data.sectionVisibility, publications: false, references: false };
+    const { data: imported, warnings } = roundTrip(data);
+
+    assert.deepStrictEqual(publicationIds(imported), publicationIds(data));
+    assert.deepStrictEqual(ids(imported.references), ids(data.references));
+    assert.deepStrictEqual(warnings, []);
+});
+
+test('sections the resumes do not have are left alone', () => {
+    const data = loadData();
+    const { data: imported } = fromJSONResume({ en: { basics: { name: 'Someone' } } }, data);
+
+    assert.deepStrictEqual(imported.experience, data.experience);
+    assert.deepStrictEqual(imported.publications, data.publications);
+});
@@ -0,0 +1,262 @@
+/**
+ * Text Export - The CV as plain text or Markdown, for applicant tracking systems and web forms
+ * Used by generate_cv.js (--format txt|md) and server.js (POST /api/generate-text)
+ *
+ * Takes the same localized data and section visibility as renderHTML (see
+ * prepareData) and renders every visible section in one column, in the order of
+ * the classic template. The CV is first laid out as blocks (headings, paragraphs,
+ * lists) of styled spans; the plain-text renderer drops the styling.
+ */
+
+const { textFallback, prepareData } = require('./generate_cv_lib');
+const { formatCitation } = require('./citation_styles');
+
+const TEXT_FORMATS = ['txt', 'md'];
+const BULLET_STYLES = ['-', '*', '+', '•', '–'];
+// Markdown only knows these list markers
+const MARKDOWN_BULLETS = ['-', '*', '+'];
+const DEFAULT_WIDTH = 80;
+
+// ---------------------------------------------------------------- Layout
+
+const span = (text, style = {}) => ({ text: text === undefined || text === null ? '' : String(text), ...style });
+
+/**
+ * Spans of a citation, with the parts the style emphasises as em and the link as url
+ */
+function citationSpans(pub, category, style) {
+    const html = formatCitation(pub, category, style, { html: true });
+    const decode = text => text.replace(/&lt;/g, '<').replace(/&gt;/g, '>').replace(/&quot;/g, '"')
+        .replace(/&#39;/g, "'").replace(/&amp;/g, '&');
+    return html.split(/(<em[^>]*>.*?<\/em>|<a[^>]*>.*?<\/a>)/).filter(part => part).map(part => span(
+        decode(part.replace(/<[^>]+>/g, '')),
+        { em: part.startsWith('<em'), url: part.startsWith('<a') }
+    ));
+}
+
+/**
+ * The CV as blocks: { type: 'title' | 'heading' | 'subheading' | 'paragraph', spans }
+ * and { type: 'list', items: [spans] }
+ */
+function buildBlocks(data) {
+    const { t, visibility } = data;
+    const visible = items => (items || []).filter(item => item.visible !== false);
+    const blocks = [];
+    const heading = text => blocks.push({ type: 'heading', spans: [span(text)] });
+    const subheading = text => blocks.push({ type: 'subheading', spans: [span(text)] });
+    const paragraph = (...spans) => blocks.push({ type: 'paragraph', spans: spans.filter(s => s.text) });
+    const list = items => {
+        if (items.length > 0) blocks.push({ type: 'list', items });
+    };
+
+    const personal = data.personal || {};
+    blocks.push({ type: 'title', spans: [span(personal.name)] });
+    if (personal.credentials) paragraph(span(personal.credentials));
+    const contact = [personal.location, personal.phone, personal.email, personal.website, personal.linkedin]
+        .filter(part => part);
+    if (contact.length > 0) paragraph(span(contact.join(' | ')));
+
+    if (visibility.profile && data.profile) {
+        heading(t.profile);
+        paragraph(span(data.profile));
+    }
+
+    if (visibility.experience) {
+        heading(t.experience);
+        for (const job of visible(data.experience)) {
+            subheading(job.title);
+            const period = `${job.period || ''}${job.duration ? ` (${job.duration})` : ''}`;
+            const meta = [period, job.location].filter(part => part).join(' — ');
+            paragraph(span(job.company, { strong: true }), span(meta ? ` | ${meta}` : ''));
+            list((job.responsibilities || []).map(resp => [span(resp)]));
+        }
+    }
+
+    if (visibility.education) {
+        heading(t.education);
+        for (const edu of visible(data.education)) {
+            subheading(edu.degree);
+            paragraph(span(edu.institution, { strong: true }), span(edu.period ? ` | ${edu.period}` : ''));
+            if (edu.description) paragraph(span(edu.description));
+        }
+    }
+
+    if (visibility.teaching && (data.teaching || []).length > 0) {
+        heading(t.teaching);
+        list(data.teaching.map(item => [span(item)]));
+    }
+
+    if (visibility.publications && data.publications) {
+        heading(t.publications);
+        for (const category of data.publicationLists) {
+            const count = category.countTotal ? ` (${category.items.length}+ ${t.articles_total})` : '';
+            subheading(`${category.label}${count}`);
+            list(visible(category.items).map(pub => citationSpans(pub, category, data.citationStyle)));
+        }
+    }
+
+    if (visibility.presentations && data.presentations) {
+        heading(t.presentations);
+        list(visible(data.presentations).map(pres => {
+            const where = [pres.event, pres.location].filter(part => part).join(', ');
+            const details = `${where}${pres.dateLabel ? ` (${pres.dateLabel})` : ''}.${pres.role ? ` ${pres.role}.` : ''}`;
+            return [span(pres.title, { strong: true }), span(` — ${details}`)];
+        }));
+    }
+
+    if (visibility.media_summary && data.media_summary) {
+        heading(t.media);
+        paragraph(span(data.media_summary));
+    }
+
+    if (visibility.languages && data.languages) {
+        heading(t.languages);
+        paragraph(span(data.languages));
+    }
+    if (visibility.hobbies && data.hobbies) {
+        heading(t.hobbies);
+        paragraph(span(data.hobbies));
+    }
+
+    if (visibility.references) {
+        heading(t.references);
+        list(visible(data.references).map(ref => [span(ref.name, { strong: true }), span(ref.title ? `, ${ref.title}` : '')]));
+        if (t.references_note) paragraph(span(t.references_note));
+    }
+    return blocks;
+}
+
+// ---------------------------------------------------------------- Rendering
+
+/**
+ * Wrap text at `width` columns (0: no wrapping); lines after the first get `indent`
+ * Words longer than a line, like URLs, are not broken.
+ */
+function wrap(text, width, prefix = '', indent = '') {
+    if (!width) return prefix + text;
+    const lines = [];
+    let line = prefix;
+    let empty = true;
+    for (const word of text.split(/\s+/).filter(w => w)) {
+        if (!empty && line.length + 1 + word.length > width) {
+            lines.push(line);
+            line = indent;
+            empty = true;
+        }
+        line += (empty ? '' : ' ') + word;
+        empty = false;
+    }
+    lines.push(line);
+    return lines.join('\n');
+}
+
+function escapeMarkdown(text) {
+    return text.replace(/([\\`*_[\]<>])/g, '\\$1');
+}
+
+/**
+ * Text of spans in a format: styling becomes Markdown emphasis or is dropped
+ */
+function inline(spans, format) {
+    return spans.map(({ text, strong, em, url }) => {
+        if (format !== 'md' || !text) return text;
+        if (url) return `<${text}>`;
+        const escaped = escapeMarkdown(text);
+        // Keep surrounding spaces outside the markers
+        const [, before, body, after] = escaped.match(/^(\s*)(.*?)(\s*)$/s);
+        if (!body) return escaped;
+        if (strong) return `${before}**${body}**${after}`;
+        if (em) return `${before}*${body}*${after}`;
+        return escaped;
+    }).join('');
+}
+
+/**
+ * Text of one block as plain text or Markdown
+ */
+function renderBlock(block, format, width, bullet, lang) {
+    if (block.type === 'list') {
+        const prefix = `${bullet} `;
+        const indent = ' '.repeat(prefix.length);
+        return block.items.map(item => wrap(inline(item, format), width, prefix, indent)).join('\n');
+    }
+    const text = inline(block.spans, format);
+    if (!text) return '';
+    if (format === 'md') {
+        const marker = { title: '# ', heading: '## ', subheading: '### ' }[block.type];
+        return marker ? `${marker}${text}` : wrap(text, width);
+    }
+    if (block.type === 'title' || block.type === 'heading') {
+        // Capitals with an underline, which ATS parsers read as section titles
+        const title = text.toLocaleUpperCase(lang);
+        return `${title}\n${(block.type === 'title' ? '=' : '-').repeat(title.length)}`;
+    }
+    return wrap(text, width);
+}
+
+/**
+ * Render blocks, in plain text with blank lines only around headings so that
+ * the lines of one entry stay together
+ */
+function renderBlocks(blocks, format, width, bullet, lang) {
+    let text = '';
+    let previous = null;
+    for (const block of blocks) {
+        const part = renderBlock(block, format, width, bullet, lang);
+        if (!part) continue;
+        if (previous) {
+            const blank = format === 'md' || block.type !== 'paragraph' && block.type !== 'list' ||
+                previous.type === 'title' || previous.type === 'heading';
+            text += blank ? '\n\n' : '\n';
+        }
+        text += part;
+        previous = block;
+    }
+    return text + '\n';
+}
+
+/**
+ * Why the format, width or bullet of renderText can't be used, or null when they can
+ */
+function textOptionsError({ format = 'txt', width = DEFAULT_WIDTH, bullet = '-' } = {}) {
+    if (!TEXT_FORMATS.includes(format)) {
+        return `Unknown text format '${format}' (expected one of: ${TEXT_FORMATS.join(', ')})`;
+    }
+    if (!Number.isInteger(Number(width)) || width < 0 || (width > 0 && width < 20)) {
+        return `Invalid line width '${width}' (expected 0 for no wrapping, or 20 or more)`;
+    }
+    const bullets = format === 'md' ? MARKDOWN_BULLETS : BULLET_STYLES;
+    if (!bullets.includes(bullet)) {
+        return `Invalid bullet '${bullet}' for ${format} (expected one of: ${bullets.join(' ')})`;
+    }
+    return null;
+}
+
+/**
+ * The CV in one language as plain text or Markdown
+ * Takes the options of prepareData, and:
+ *   format - 'txt' (default) or 'md'
+ *   width  - line width to wrap at (default 80, 0 for no wrapping)
+ *   bullet - list marker, one of BULLET_STYLES (default '-'; Markdown only allows - * +)
+ * The 'mark' fallback policy is treated as 'fallback', as text can't show the highlight.
+ */
+function renderText(baseData, lang, baseDir, options = {}) {
+    const format = options.format || 'txt';
+    const width = options.width === undefined || options.width === null ? DEFAULT_WIDTH : Number(options.width);
+    const bullet = options.bullet || '-';
+    const error = textOptionsError({ format, width, bullet });
+    if (error) {
+        throw new Error(error);
+    }
+
+    const data = prepareData(baseData, lang, baseDir, { ...options, fallback: textFallback(options.fallback) });
+    return renderBlocks(buildBlocks(data), format, width, bullet, lang);
+}
+
+module.exports = {
+    TEXT_FORMATS,
+    BULLET_STYLES,
+    DEFAULT_WIDTH,
+    textOptionsError,
+    renderText
+};